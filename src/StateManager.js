@@ -1,4 +1,5 @@
-import { SEQUENCER_CONSTANTS, CHANNEL_MODES, RAMP_POLARITIES } from "./constants.js";
+import { SEQUENCER_CONSTANTS, CHANNEL_MODES, RAMP_POLARITIES, LFO_WAVEFORMS, LFO_RATE_MODES, LFO_RANGES, LFO_CONSTANTS, SH_MODES, SH_CONSTANTS, SCALE_TYPES, SCALES, GLIDE_UNITS, GLIDE_CURVES, GLIDE_CONSTANTS, BANK_CONSTANTS, TIMING_CONSTANTS, TRIG_CONSTANTS, RATCHET_CONSTANTS, VELOCITY_CONSTANTS, DIRECTIONS, GENERATOR_TYPES, GRIDS_PARTS, GENERATOR_CONSTANTS, CLOCK_SOURCES, EXT_CLOCK_CONSTANTS, MOD_TARGETS, MOD_CONSTANTS, TEMPO_MODES, TEMPO_CONSTANTS, MIDI_NOTE_MODES, CALIBRATION_CONSTANTS, UTILITY_SOURCES } from "./constants.js";
+import { createCalibration } from "./calibration.js";
 
 // --- Channel Factory Functions ---
 
@@ -10,6 +11,40 @@ function createTriggerChannel() {
     steps: 16,
     currentStep: -1,
     isMuted: false,
+    // Micro-timing
+    swing: null, // Percent, null follows the global swing
+    direction: DIRECTIONS.FORWARD,
+    rotation: 0, // Step the pattern starts from
+    offsets: Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(0), // Per-step shift as a fraction of a step
+    // Per-step chance of firing
+    probabilities: Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(TRIG_CONSTANTS.DEFAULT_PROBABILITY), // Percent
+    conditions: Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(null), // Trig condition, null = always
+    seed: TRIG_CONSTANTS.DEFAULT_SEED, // Probability dice; the same seed replays the same hits
+    // Ratchets
+    ratchets: Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(RATCHET_CONSTANTS.MIN), // Triggers per step
+    ratchetDecay: 0, // Level drop per repeat (0-1)
+    // Velocity, sent to a velocity channel below and optionally to the gate height
+    velocities: Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(VELOCITY_CONSTANTS.DEFAULT), // Percent
+    velocityToGate: false,
+    // Gate length
+    gates: Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(null), // Percent of a step, null = triggerDuration
+    ties: Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(false), // Hold the gate into the next step
+    generator: createGenerator(),
+  };
+}
+
+// Settings for the pattern generators; only the fields of the selected type are used
+function createGenerator() {
+  return {
+    type: GENERATOR_TYPES.OFF,
+    live: false, // Regenerate whenever the channel's step count changes
+    hits: GENERATOR_CONSTANTS.DEFAULT_HITS,
+    rotation: 0,
+    density: GENERATOR_CONSTANTS.DEFAULT_DENSITY,
+    seed: TRIG_CONSTANTS.DEFAULT_SEED,
+    part: GRIDS_PARTS.KICK,
+    x: 0,
+    y: 0,
   };
 }
 
@@ -22,6 +57,19 @@ function createPitchChannel(isCoupled = true) {
     currentStep: -1,
     isCoupled,
     isMuted: false,
+    swing: null, // Percent, null follows the global swing
+    direction: DIRECTIONS.FORWARD,
+    rotation: 0, // Step the pattern starts from
+    // Quantizer
+    scale: SCALE_TYPES.OFF,
+    scaleRoot: 0, // Semitone offset from C
+    scaleMask: SCALES.chromatic.mask, // Used when scale is "custom"
+    scala: null, // Parsed .scl file, used when scale is "scala"
+    // Glide - only steps flagged in `slides` glide into their pitch
+    slides: Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(false),
+    slideTime: GLIDE_CONSTANTS.DEFAULT_TIME,
+    slideUnit: GLIDE_UNITS.MS,
+    slideCurve: GLIDE_CURVES.LINEAR,
   };
 }
 
@@ -29,6 +77,18 @@ function createClockChannel() {
   return {
     mode: CHANNEL_MODES.CLOCK,
     duration: SEQUENCER_CONSTANTS.TRIGGER_DURATION_SAMPLES,
+    ratio: { multiply: 1, divide: 1 }, // Pulses against steps; 1/1 pulses every step
+    currentStep: -1,
+    isMuted: false,
+  };
+}
+
+function createUtilityChannel() {
+  return {
+    mode: CHANNEL_MODES.UTILITY,
+    source: UTILITY_SOURCES.RESET,
+    track: null, // Track whose cycle an end-of-cycle pulse follows, null for the whole pattern
+    duration: SEQUENCER_CONSTANTS.TRIGGER_DURATION_SAMPLES, // Pulse length in samples
     currentStep: -1,
     isMuted: false,
   };
@@ -44,6 +104,71 @@ function createRampChannel(polarity = RAMP_POLARITIES.POSITIVE, amplitude = 12)
   };
 }
 
+function createLfoChannel() {
+  return {
+    mode: CHANNEL_MODES.LFO,
+    waveform: LFO_WAVEFORMS.SINE,
+    rate: LFO_CONSTANTS.DEFAULT_RATE,
+    rateMode: LFO_RATE_MODES.CYCLES,
+    phase: 0, // Phase offset as a fraction of a cycle (0-1)
+    range: LFO_RANGES.BIPOLAR,
+    amplitude: LFO_CONSTANTS.DEFAULT_AMPLITUDE, // Volts
+    steps: 16,
+    currentStep: -1,
+    isMuted: false,
+  };
+}
+
+function createShChannel(isCoupled = false) {
+  return {
+    mode: CHANNEL_MODES.SH,
+    shMode: SH_MODES.RANDOM,
+    seed: SH_CONSTANTS.DEFAULT_SEED,
+    minVoltage: SH_CONSTANTS.DEFAULT_MIN_VOLTAGE,
+    maxVoltage: SH_CONSTANTS.DEFAULT_MAX_VOLTAGE,
+    shValues: Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(null), // Last sampled voltage per step (display only)
+    steps: 16,
+    currentStep: -1,
+    isCoupled,
+    isMuted: false,
+    swing: null, // Percent, null follows the global swing
+    direction: DIRECTIONS.FORWARD,
+    rotation: 0, // Step the pattern starts from
+  };
+}
+
+function createVelocityChannel() {
+  return {
+    mode: CHANNEL_MODES.VELOCITY,
+    amplitude: VELOCITY_CONSTANTS.DEFAULT_AMPLITUDE, // Volts at 100% velocity
+    steps: 16,
+    currentStep: -1,
+    isCoupled: true, // Always follows the trigger channel above
+    isMuted: false,
+  };
+}
+
+function createCcChannel() {
+  return {
+    mode: CHANNEL_MODES.CC,
+    cc: 1, // Controller number; 1 is the mod wheel
+    minVoltage: 0, // Output at controller value 0...
+    maxVoltage: 10, // ...and at 127
+    currentStep: -1,
+    isMuted: false,
+  };
+}
+
+// Routes a CV input onto a parameter of one channel
+function createModRoute(input = 0) {
+  return {
+    input, // ES-8 input channel
+    target: MOD_TARGETS.TRANSPOSE,
+    channel: 1, // Channel 2, the first pitch channel
+    amount: MOD_CONSTANTS.DEFAULT_AMOUNT, // Percent of MOD_CONSTANTS.PER_VOLT
+  };
+}
+
 function createSequencerChannels() {
   return [
     createTriggerChannel(),  // Channel 1
@@ -62,26 +187,156 @@ function createUtilityChannels() {
   ];
 }
 
+// Tracks 9-16, played on an expander's outputs
+function createExpanderChannels() {
+  return Array.from({ length: SEQUENCER_CONSTANTS.MAX_CHANNELS - SEQUENCER_CONSTANTS.NUM_CHANNELS }, (_, i) => (
+    i % 2 === 0 ? createTriggerChannel() : createPitchChannel()
+  ));
+}
+
+// Output N plays track N
+function createRouting() {
+  return Array.from({ length: SEQUENCER_CONSTANTS.MAX_CHANNELS }, (_, i) => i);
+}
+
 const initialState = {
   // Global params
   subdivisions: 16,
   cycleTime: SEQUENCER_CONSTANTS.DEFAULT_CYCLE_TIME,
+  swing: TIMING_CONSTANTS.DEFAULT_SWING, // Percent, delays every second step
+  // Musical time; only used in place of cycleTime in BPM mode
+  tempo: {
+    mode: TEMPO_MODES.SECONDS,
+    bpm: TEMPO_CONSTANTS.DEFAULT_BPM,
+    beats: 4, // Time signature, beats over beatUnit
+    beatUnit: 4,
+    noteValue: TEMPO_CONSTANTS.DEFAULT_NOTE_VALUE, // Length of a step, one of NOTE_VALUES
+  },
   
   // UI State
   gridSubdivisions: 16, // Visual zoom level of the grid
 
   // Sequencer Data
   pattern: Array(SEQUENCER_CONSTANTS.MAX_CHANNELS).fill(null).map(() => Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(false)),
-  channels: [...createSequencerChannels(), ...createUtilityChannels()],
+  channels: [...createSequencerChannels(), ...createUtilityChannels(), ...createExpanderChannels()],
+  // Which track each output plays, by output; null leaves the output at 0V
+  routing: createRouting(),
+  outputCount: SEQUENCER_CONSTANTS.NUM_CHANNELS, // Outputs of the interface, and so the tracks shown
+
+  // Pattern bank - the live pattern above is bank[currentPattern]
+  bank: Array(BANK_CONSTANTS.NUM_PATTERNS).fill(null), // Stored slots, null = empty
+  currentPattern: 0,
+  queuedPattern: null, // Bank index waiting for the next cycle wrap
+
+  // Song mode - chains bank patterns with repeat counts
+  song: { enabled: false, loop: true, entries: [{ pattern: 0, repeats: 1 }] },
+  songPosition: null, // { entry, repeat } while a song is playing
+
+  // CV input modulation - routes from the ES-8 inputs onto channel params
+  modulation: [],
+
+  // MIDI notes into a pitch channel - also a setting of this setup
+  midiNotes: {
+    mode: MIDI_NOTE_MODES.OFF,
+    channel: 1, // Pitch channel; the trigger channel above gets the gates
+    midiChannel: null, // 0-15, null to listen to all
+    cursor: 0, // Step the next recorded note goes into
+  },
+
+  // Output calibration - the current profile of this machine's hardware
+  calibration: {
+    profile: CALIBRATION_CONSTANTS.DEFAULT_PROFILE,
+    profiles: [CALIBRATION_CONSTANTS.DEFAULT_PROFILE], // Stored profile names
+    channel: 0, // Output being edited
+    outputs: Array(SEQUENCER_CONSTANTS.MAX_CHANNELS).fill(null).map(createCalibration),
+    tuning: null, // { channel, step, readings } while a reference voltage is being measured
+  },
+
+  // Output scope - a view, so kept out of presets and undo
+  scope: {
+    enabled: false, // The worklet only captures the outputs while this is on
+    hidden: [], // Outputs whose traces are switched off
+  },
+
+  // Clock sync - settings of this setup, so kept out of presets and undo
+  clock: {
+    source: CLOCK_SOURCES.INTERNAL,
+    sendMidi: false, // Send MIDI clock and start/stop
+    latency: 0, // ms added to outgoing MIDI to line it up with the ES-8 outputs
+    // Audio input clock
+    input: 0, // Input channel carrying clock pulses
+    ppqn: EXT_CLOCK_CONSTANTS.DEFAULT_PPQN,
+    resetInput: null, // Input channel whose pulses rewind to step 1, null for none
+  },
 };
 
+// State that reflects playback or view position rather than user edits; never recorded in history
+const TRANSIENT_PATHS = [
+  'gridSubdivisions',
+  'outputCount',
+  'queuedPattern',
+  'songPosition',
+  'channels.*.currentStep',
+  'channels.*.shValues',
+  'clock',
+  'midiNotes',
+  'calibration',
+  'scope',
+];
+
+/**
+ * Whether a path falls under a path pattern. `*` matches any single key and a
+ * pattern also matches every path below it ("channels.*" matches "channels.2.steps").
+ * @param {string} pattern - Dot-separated pattern
+ * @param {string} path - Dot-separated path
+ * @returns {boolean}
+ */
+export function pathMatches(pattern, path) {
+  const patternKeys = pattern.split('.');
+  const pathKeys = path.split('.');
+  if (pathKeys.length < patternKeys.length) return false;
+  return patternKeys.every((key, i) => key === '*' || key === pathKeys[i]);
+}
+
+/**
+ * Whether a change at `path` affects a subscription to `pattern`: either the
+ * change is at or below the pattern, or it replaced an ancestor of it
+ * (setting "channels" affects a subscriber to "channels.*.pitches").
+ * @param {string} pattern - Dot-separated pattern, `*` matches any single key
+ * @param {string} path - Dot-separated path that changed
+ * @returns {boolean}
+ */
+function pathAffects(pattern, path) {
+  const patternKeys = pattern.split('.');
+  const pathKeys = path.split('.');
+  const length = Math.min(patternKeys.length, pathKeys.length);
+  for (let i = 0; i < length; i++) {
+    if (patternKeys[i] !== '*' && patternKeys[i] !== pathKeys[i]) return false;
+  }
+  return true;
+}
+
 export class StateManager {
-  constructor(initialState = {}) {
+  /**
+   * @param {Object} initialState - Initial state, deep-cloned
+   * @param {Object} [options]
+   * @param {number} [options.historyLimit] - Maximum number of undo steps kept
+   * @param {string[]} [options.transientPaths] - Path patterns excluded from undo history
+   */
+  constructor(initialState = {}, { historyLimit = SEQUENCER_CONSTANTS.MAX_HISTORY, transientPaths = [] } = {}) {
     this._state = this.deepClone(initialState);
     this._listeners = new Map();
     this._globalListeners = new Set();
     this._transactionDepth = 0;
     this._pendingNotifications = new Set();
+    this._notificationScheduled = false;
+
+    // Undo history: each entry is a list of { path, oldValue, newValue } changes
+    this._historyLimit = historyLimit;
+    this._transientPaths = transientPaths;
+    this._undoStack = [];
+    this._redoStack = [];
+    this._pendingChanges = [];
   }
 
   get(path) {
@@ -96,6 +351,15 @@ export class StateManager {
   }
 
   set(path, value) {
+    const oldValue = this._write(path, value);
+    if (!this.isTransient(path)) {
+      this._pendingChanges.push({ path, oldValue: this.deepClone(oldValue), newValue: this.deepClone(value) });
+      if (this._transactionDepth === 0) this._commitHistory();
+    }
+    this._notify(path);
+  }
+
+  _write(path, value) {
     const keys = path.split('.');
     const lastKey = keys.pop();
     let target = this._state;
@@ -105,8 +369,138 @@ export class StateManager {
     }
     const oldValue = target[lastKey];
     target[lastKey] = value;
-    // We are not using listeners in this simplified refactor, so notify is commented out.
-    // this.notifyListeners(path, value, oldValue);
+    return oldValue;
+  }
+
+  /**
+   * Whether a path holds playback/view state that is kept out of undo history.
+   * @param {string} path - Dot-separated path
+   * @returns {boolean}
+   */
+  isTransient(path) {
+    return this._transientPaths.some(pattern => pathMatches(pattern, path));
+  }
+
+  // --- Change Notification ---
+
+  /**
+   * Queues a changed path; listeners are called once per microtask with
+   * every path that changed since the last delivery.
+   */
+  _notify(path) {
+    this._pendingNotifications.add(path);
+    if (this._notificationScheduled) return;
+    this._notificationScheduled = true;
+    queueMicrotask(() => this._flushNotifications());
+  }
+
+  _flushNotifications() {
+    const paths = Array.from(this._pendingNotifications);
+    this._pendingNotifications.clear();
+    this._notificationScheduled = false;
+
+    for (const [pattern, listeners] of this._listeners) {
+      const matching = paths.filter(path => pathAffects(pattern, path));
+      if (matching.length === 0) continue;
+      listeners.forEach(listener => this._callListener(listener, matching));
+    }
+    this._globalListeners.forEach(listener => this._callListener(listener, paths));
+  }
+
+  _callListener(listener, paths) {
+    try {
+      listener(paths);
+    } catch (error) {
+      console.error("State listener failed:", error);
+    }
+  }
+
+  // --- Transactions & History ---
+
+  /**
+   * Starts grouping changes into a single undo step. Calls may be nested;
+   * the step is recorded when the outermost transaction ends.
+   */
+  beginTransaction() {
+    this._transactionDepth++;
+  }
+
+  /**
+   * Ends a transaction started with beginTransaction().
+   */
+  endTransaction() {
+    if (this._transactionDepth === 0) return;
+    this._transactionDepth--;
+    if (this._transactionDepth === 0) this._commitHistory();
+  }
+
+  /**
+   * Runs a function with all of its changes grouped into one undo step.
+   * @param {Function} fn - Function making state changes
+   * @returns {*} The function's return value
+   */
+  transaction(fn) {
+    this.beginTransaction();
+    try {
+      return fn();
+    } finally {
+      this.endTransaction();
+    }
+  }
+
+  _commitHistory() {
+    if (this._pendingChanges.length === 0) return;
+    this._undoStack.push(this._pendingChanges);
+    if (this._undoStack.length > this._historyLimit) this._undoStack.shift();
+    this._redoStack = [];
+    this._pendingChanges = [];
+  }
+
+  /**
+   * Reverts the most recent undo step.
+   * @returns {boolean} Whether anything was undone
+   */
+  undo() {
+    const changes = this._undoStack.pop();
+    if (!changes) return false;
+    for (let i = changes.length - 1; i >= 0; i--) {
+      this._write(changes[i].path, this.deepClone(changes[i].oldValue));
+      this._notify(changes[i].path);
+    }
+    this._redoStack.push(changes);
+    return true;
+  }
+
+  /**
+   * Re-applies the most recently undone step.
+   * @returns {boolean} Whether anything was redone
+   */
+  redo() {
+    const changes = this._redoStack.pop();
+    if (!changes) return false;
+    for (const change of changes) {
+      this._write(change.path, this.deepClone(change.newValue));
+      this._notify(change.path);
+    }
+    this._undoStack.push(changes);
+    return true;
+  }
+
+  canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   * Drops all undo and redo steps.
+   */
+  clearHistory() {
+    this._undoStack = [];
+    this._redoStack = [];
+    this._pendingChanges = [];
   }
 
   getState() {
@@ -131,8 +525,10 @@ export class StateManager {
 
   /**
    * Subscribe to changes on a specific path
+   * `*` matches any single key ("channels.*.pitches"). Changes are batched: the
+   * listener is called once per microtask with the changed paths that affect it.
    * @param {string} path - Path to watch
-   * @param {Function} listener - Callback function
+   * @param {Function} listener - Callback receiving an array of changed paths
    * @returns {Function} Unsubscribe function
    */
   subscribe(path, listener) {
@@ -156,7 +552,7 @@ export class StateManager {
 
   /**
    * Subscribe to all state changes
-   * @param {Function} listener - Callback function
+   * @param {Function} listener - Callback receiving an array of changed paths
    * @returns {Function} Unsubscribe function
    */
   subscribeAll(listener) {
@@ -188,7 +584,7 @@ export class StateManager {
   }
 }
 
-export const stateManager = new StateManager(initialState);
+export const stateManager = new StateManager(initialState, { transientPaths: TRANSIENT_PATHS });
 
 // Export factory functions for external use
-export { createTriggerChannel, createPitchChannel, createClockChannel, createRampChannel };
\ No newline at end of file
+export { createTriggerChannel, createPitchChannel, createClockChannel, createRampChannel, createLfoChannel, createShChannel, createVelocityChannel, createCcChannel, createUtilityChannel, createModRoute, createRouting };
\ No newline at end of file
@@ -1,14 +1,125 @@
 import { stateManager } from "./StateManager.js";
 import { els, updateStatus, updateVisibleGrids } from "./ui.js";
+import { getSlot, selectPattern, advanceSongPosition, getSongQueue } from "./patternBank.js";
+import { MESSAGE_TYPES, COUPLABLE_MODES, MIDI_CONSTANTS, CLOCK_SOURCES, EXT_CLOCK_CONSTANTS, TEMPO_CONSTANTS, MIDI_NOTE_MODES, CHANNEL_MODES, CALIBRATION_CONSTANTS, SEQUENCER_CONSTANTS } from "./constants.js";
+import { createMessage, createBatch } from "./messageProtocol.js";
+import { sendMidiClock, sendMidiTransport } from "./midi.js";
+import { pushScopeBlock } from "./scope.js";
 
 let audioContext;
 let es8Node;
+let inputSource = null; // ES-8 inputs, opened the first time the clock or a modulation route needs them
+let isOpeningInputs = false;
 let isPlaying = false;
+let isFilling = false;
+let nudgeDirection = 0;
 
+// State roots the worklet reads; changes anywhere else are UI-only
+const WORKLET_PATHS = ['pattern', 'channels', 'subdivisions', 'cycleTime', 'swing', 'tempo', 'modulation', 'routing', 'currentPattern'];
+
+/**
+ * Validates and posts a message to the worklet.
+ * @returns {boolean} Whether the message was sent
+ */
+function postToWorklet(type, payload) {
+  if (!es8Node) return false;
+  const result = createMessage(type, payload);
+  if (!result.success) {
+    console.error("Invalid worklet message:", result.error);
+    return false;
+  }
+  es8Node.port.postMessage(result.message);
+  return true;
+}
+
+/**
+ * Sends the whole state. Used on init and whenever a change can't be
+ * expressed as a patch.
+ */
 export function sendStateToWorklet() {
-  if (!es8Node) return;
-  const state = stateManager.getState();
-  es8Node.port.postMessage({ type: 'setState', state: state });
+  postToWorklet(MESSAGE_TYPES.SET_STATE, { state: stateManager.getState() });
+}
+
+function affectsWorklet(path) {
+  if (stateManager.isTransient(path)) return false;
+  return WORKLET_PATHS.some(root => path === root || path.startsWith(`${root}.`));
+}
+
+// Channel params are patched whole, except pitches which go step by step; tempo, modulation routes and routing go all together
+function toPatchPath(path) {
+  const keys = path.split('.');
+  if (keys[0] === 'tempo' || keys[0] === 'modulation' || keys[0] === 'routing') return keys[0];
+  if (keys[0] !== 'channels' || keys[2] === 'pitches') return path;
+  return keys.slice(0, 3).join('.');
+}
+
+/**
+ * Turns a changed state path into the smallest worklet message that covers it.
+ * @param {string} path - Changed path, as passed to StateManager listeners
+ * @returns {{success: boolean, message?: Object, error?: string}|null} Null if only a full sync will do
+ */
+function createPatch(path) {
+  const [root, index, key, step] = path.split('.');
+  if (root === 'cycleTime') return createMessage(MESSAGE_TYPES.SET_CYCLE_TIME, { value: stateManager.get('cycleTime') });
+  if (root === 'subdivisions') return createMessage(MESSAGE_TYPES.SET_SUBDIVISIONS, { value: stateManager.get('subdivisions') });
+  if (root === 'swing') return createMessage(MESSAGE_TYPES.SET_SWING, { value: stateManager.get('swing') });
+  if (root === 'tempo') return createMessage(MESSAGE_TYPES.SET_TEMPO, { tempo: stateManager.get('tempo') });
+  if (root === 'modulation') return createMessage(MESSAGE_TYPES.SET_MODULATION, { routes: stateManager.get('modulation') });
+  if (root === 'routing') return createMessage(MESSAGE_TYPES.SET_ROUTING, { routing: stateManager.get('routing') });
+  if (root === 'currentPattern') return createMessage(MESSAGE_TYPES.SET_CURRENT_PATTERN, { index: stateManager.get('currentPattern') });
+
+  const channel = parseInt(index);
+  if (isNaN(channel)) return null;
+
+  if (root === 'pattern') {
+    if (key === undefined) {
+      return createMessage(MESSAGE_TYPES.SET_CHANNEL_PATTERN, { channel, pattern: stateManager.get(path) });
+    }
+    return createMessage(MESSAGE_TYPES.UPDATE_PATTERN, { channel, step: parseInt(key), active: Boolean(stateManager.get(path)) });
+  }
+
+  if (key === undefined || key === 'mode') {
+    return createMessage(MESSAGE_TYPES.SET_CHANNEL_MODE, { channel, config: stateManager.get(`channels.${channel}`) });
+  }
+  if (key === 'pitches' && step !== undefined) {
+    return createMessage(MESSAGE_TYPES.UPDATE_PITCH, { channel, step: parseInt(step), pitch: stateManager.get(path) });
+  }
+  return createMessage(MESSAGE_TYPES.SET_CHANNEL_PARAM, { channel, param: key, value: stateManager.get(path) });
+}
+
+/**
+ * Sends only what changed: one patch per changed path, batched so the worklet
+ * applies them together. Falls back to a full sync if any patch can't be built.
+ * @param {string[]} paths - Changed paths from a StateManager notification
+ */
+function syncChangesToWorklet(paths) {
+  const patchPaths = new Set(paths.filter(affectsWorklet).map(toPatchPath));
+  if (patchPaths.size === 0) return;
+
+  const messages = [];
+  for (const path of patchPaths) {
+    const result = createPatch(path);
+    if (!result?.success) {
+      if (result) console.error("Falling back to a full state sync:", result.error);
+      sendStateToWorklet();
+      return;
+    }
+    messages.push(result.message);
+  }
+
+  const batch = createBatch(messages);
+  if (batch.success) {
+    es8Node.port.postMessage(batch.message);
+  } else {
+    console.error("Falling back to a full state sync:", batch.error);
+    sendStateToWorklet();
+  }
+}
+
+function renderTransport(message) {
+  els.playBtn.textContent = isPlaying ? '■' : '▶';
+  els.playBtn.classList.toggle('active', isPlaying);
+  updateStatus(message ?? (isPlaying ? 'Playing' : 'Stopped'));
 }
 
 export function togglePlayback() {
@@ -17,23 +128,230 @@ export function togglePlayback() {
     return;
   }
 
-  isPlaying = !isPlaying;
-
   if (isPlaying) {
-    const state = stateManager.getState();
-    // Reset visual state before starting
-    for (let i = 0; i < state.channels.length; i++) {
-      stateManager.set(`channels.${i}.currentStep`, -1);
+    stopPlayback();
+  } else {
+    startPlayback();
+  }
+}
+
+/**
+ * Starts playback from the top, or from a position in steps (a MIDI continue).
+ * Starting while playing restarts.
+ * @param {number} [position=0] - Step to start from
+ */
+export function startPlayback(position = 0) {
+  if (!es8Node) return;
+  isPlaying = true;
+
+  const state = stateManager.getState();
+  // Reset visual state before starting
+  for (let i = 0; i < state.channels.length; i++) {
+    stateManager.set(`channels.${i}.currentStep`, -1);
+  }
+
+  // A song always plays from its first entry
+  if (state.song.enabled) {
+    selectPattern(state.song.entries[0].pattern, { record: false });
+    stateManager.set('songPosition', { entry: 0, repeat: 0 });
+  }
+
+  postToWorklet(MESSAGE_TYPES.START, { state: stateManager.getState(), position });
+  if (state.song.enabled) queueSongPattern();
+  sendMidiTransport(position === 0 ? MIDI_CONSTANTS.START : MIDI_CONSTANTS.CONTINUE, outputTimestamp(audioContext.currentTime));
+
+  renderTransport();
+}
+
+export function stopPlayback() {
+  if (!es8Node || !isPlaying) return;
+  isPlaying = false;
+
+  postToWorklet(MESSAGE_TYPES.STOP);
+  stateManager.set('queuedPattern', null);
+  stateManager.set('songPosition', null);
+  sendMidiTransport(MIDI_CONSTANTS.STOP, outputTimestamp(audioContext.currentTime));
+
+  renderTransport();
+}
+
+/**
+ * Passes the tempo of an incoming clock tick on to the worklet.
+ * @param {number} period - Smoothed ms per tick
+ */
+export function sendClockTick(period) {
+  postToWorklet(MESSAGE_TYPES.CLOCK_TICK, { period });
+}
+
+/**
+ * Plays a note on the live pitch channel.
+ * @param {number|null} pitch - Semitones, or null to close the gate
+ * @param {number} velocity - MIDI velocity
+ */
+export function sendLiveNote(pitch, velocity) {
+  postToWorklet(MESSAGE_TYPES.LIVE_NOTE, { pitch, velocity });
+}
+
+/**
+ * Sends a controller value to every CC channel listening to that controller.
+ * @param {number} cc - Controller number
+ * @param {number} value - 0-127
+ */
+export function sendCc(cc, value) {
+  stateManager.get('channels').forEach((channel, i) => {
+    if (channel.mode === CHANNEL_MODES.CC && channel.cc === cc) {
+      postToWorklet(MESSAGE_TYPES.SET_CC, { channel: i, value });
     }
-    
-    es8Node.port.postMessage({ type: 'start', state: stateManager.getState() });
+  });
+}
+
+// Only live mode takes the pitch channel away from its steps
+function sendLiveChannel() {
+  const { mode, channel } = stateManager.get('midiNotes');
+  postToWorklet(MESSAGE_TYPES.SET_LIVE_CHANNEL, { channel: mode === MIDI_NOTE_MODES.LIVE ? channel : null });
+}
+
+// While tuning, the output being measured sends the reference voltage uncalibrated
+function sendCalibration() {
+  const { outputs, tuning } = stateManager.get('calibration');
+  const reference = tuning && { channel: tuning.channel, volts: CALIBRATION_CONSTANTS.REFERENCE_VOLTS[tuning.step] };
+  postToWorklet(MESSAGE_TYPES.SET_CALIBRATION, { outputs, reference });
+}
+
+// The worklet only spends time capturing the outputs while the scope is open
+function sendScope() {
+  postToWorklet(MESSAGE_TYPES.SET_SCOPE, { enabled: stateManager.get('scope.enabled') });
+}
+
+/**
+ * Converts an audio context time into the performance.now() time at which
+ * it reaches the outputs, so MIDI can be timestamped to match.
+ * @param {number} contextTime - Seconds
+ * @returns {number} ms
+ */
+function outputTimestamp(contextTime) {
+  const { contextTime: heardTime, performanceTime } = audioContext.getOutputTimestamp();
+  return performanceTime + (contextTime - heardTime) * 1000;
+}
+
+function sendClockSettings() {
+  const { source, sendMidi, input, ppqn, resetInput } = stateManager.get('clock');
+  postToWorklet(MESSAGE_TYPES.SET_CLOCK, { source, sendTicks: sendMidi, input, ppqn, resetInput });
+  openInputsIfNeeded();
+}
+
+function openInputsIfNeeded() {
+  if (stateManager.get('clock.source') === CLOCK_SOURCES.AUDIO || stateManager.get('modulation').length > 0) openInputs();
+}
+
+/**
+ * Feeds the interface's inputs into the worklet, for an external clock or CV
+ * modulation. Falls back to the internal clock if they can't be opened.
+ */
+async function openInputs() {
+  if (inputSource || isOpeningInputs) return;
+  isOpeningInputs = true;
+  try {
+    // Any processing would smear the pulse edges and offset the CV
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        channelCount: { ideal: EXT_CLOCK_CONSTANTS.NUM_INPUTS },
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false,
+      },
+    });
+    inputSource = audioContext.createMediaStreamSource(stream);
+    inputSource.connect(es8Node);
+    updateStatus(`Inputs open (${stream.getAudioTracks()[0]?.getSettings().channelCount ?? '?'} channels)`);
+  } catch (error) {
+    console.error("Failed to open inputs:", error);
+    updateStatus(`Error: ${error.message}`);
+    if (stateManager.get('clock.source') === CLOCK_SOURCES.AUDIO) stateManager.set('clock.source', CLOCK_SOURCES.INTERNAL);
+  } finally {
+    isOpeningInputs = false;
+  }
+}
+
+/**
+ * Turns fill on or off; steps with a fill condition only play while it's on.
+ * @param {boolean} active
+ */
+export function setFill(active) {
+  if (active === isFilling) return;
+  isFilling = active;
+  els.fillBtn.classList.toggle('active', active);
+  postToWorklet(MESSAGE_TYPES.SET_FILL, { active });
+}
+
+/**
+ * Speeds playback up or slows it down while held, to line it up by ear with
+ * something not under clock. Only moves the internal clock.
+ * @param {number} direction - 1 to speed up, -1 to slow down, 0 to let go
+ */
+export function setNudge(direction) {
+  if (direction === nudgeDirection) return;
+  nudgeDirection = direction;
+  els.nudgeUp.classList.toggle('active', direction > 0);
+  els.nudgeDown.classList.toggle('active', direction < 0);
+  postToWorklet(MESSAGE_TYPES.SET_NUDGE, { value: direction * TEMPO_CONSTANTS.NUDGE });
+}
+
+/**
+ * Switches to a bank pattern. While playing, the switch is queued and happens
+ * when the current cycle ends; otherwise it happens immediately.
+ * @param {number} index - Bank index
+ * @param {boolean} [songLoop=false] - Whether the pattern starts a song over
+ */
+export function requestPatternChange(index, songLoop = false) {
+  if (!es8Node || !isPlaying) {
+    selectPattern(index);
+    stateManager.set('queuedPattern', null);
+    return;
+  }
+
+  postToWorklet(MESSAGE_TYPES.QUEUE_PATTERN, { index, slot: getSlot(index), songLoop });
+  stateManager.set('queuedPattern', index);
+}
+
+/**
+ * Turns song mode on or off. Turning it on while playing starts the song
+ * from its first entry at the next cycle wrap.
+ * @param {boolean} enabled
+ */
+export function setSongEnabled(enabled) {
+  stateManager.set('song.enabled', enabled);
+  if (!enabled) {
+    stateManager.set('songPosition', null);
+  } else if (isPlaying) {
+    // Position "before" the first cycle of entry 0, which starts at the next wrap
+    stateManager.set('songPosition', { entry: 0, repeat: -1 });
+    requestPatternChange(stateManager.get('song.entries.0.pattern'));
+  }
+}
+
+// Queues whatever the song needs next, one cycle ahead of the switch
+function queueSongPattern() {
+  const song = stateManager.get('song');
+  const position = stateManager.get('songPosition');
+  if (!song.enabled || !position || position.repeat < 0) return;
+
+  const queue = getSongQueue(song, position);
+  if (!queue) return;
+  if (queue.end) {
+    postToWorklet(MESSAGE_TYPES.QUEUE_PATTERN, { endOfSong: true });
   } else {
-    es8Node.port.postMessage({ type: 'stop' });
+    requestPatternChange(queue.pattern, queue.loops);
   }
+}
 
-  els.playBtn.textContent = isPlaying ? '■' : '▶';
-  els.playBtn.classList.toggle('active', isPlaying);
-  updateStatus(isPlaying ? 'Playing' : 'Stopped');
+function handleCycleWrap() {
+  const song = stateManager.get('song');
+  const position = stateManager.get('songPosition');
+  if (!song.enabled || !position) return;
+
+  stateManager.set('songPosition', advanceSongPosition(song, position));
+  queueSongPattern();
 }
 
 export async function initAudio() {
@@ -41,22 +359,25 @@ export async function initAudio() {
   try {
     audioContext = new AudioContext({ sampleRate: 48000 });
     
-    // Configure destination for 8 channels (like the working test)
-    if (audioContext.destination.maxChannelCount >= 8) {
-      audioContext.destination.channelCount = 8;
+    // Use every output up to 16, for an ES-8 with an expander, and never fewer than an ES-8's 8
+    const { maxChannelCount } = audioContext.destination;
+    const outputCount = Math.max(SEQUENCER_CONSTANTS.NUM_CHANNELS, Math.min(SEQUENCER_CONSTANTS.MAX_CHANNELS, maxChannelCount));
+    if (maxChannelCount >= outputCount) {
+      audioContext.destination.channelCount = outputCount;
       audioContext.destination.channelCountMode = 'explicit';
       audioContext.destination.channelInterpretation = 'discrete';
-      console.log('Configured audio destination for 8 channels');
+      console.log(`Configured audio destination for ${outputCount} channels`);
     } else {
-      console.warn('Only', audioContext.destination.maxChannelCount, 'channels available');
+      console.warn('Only', maxChannelCount, 'channels available');
     }
+    stateManager.set('outputCount', outputCount);
 
     await audioContext.audioWorklet.addModule("/src/sequencer-processor.js");
     
     es8Node = new AudioWorkletNode(audioContext, "sequencer-processor", {
-      numberOfInputs: 0,
+      numberOfInputs: 1, // The ES-8 inputs, for an external clock
       numberOfOutputs: 1,
-      outputChannelCount: [8],
+      outputChannelCount: [outputCount],
       channelCount: 8,
       channelCountMode: "explicit",
       channelInterpretation: "discrete",
@@ -64,7 +385,45 @@ export async function initAudio() {
 
     // --- NEW, CORRECTED MESSAGE HANDLER ---
     es8Node.port.onmessage = (e) => {
-      if (e.data.type !== 'stepChange') return;
+      if (e.data.type === MESSAGE_TYPES.PATTERN_CHANGE) {
+        // The worklet has already switched on the cycle wrap; catch the UI state up
+        selectPattern(e.data.index, { record: false });
+        stateManager.set('queuedPattern', null);
+        return;
+      }
+      if (e.data.type === MESSAGE_TYPES.CYCLE_WRAP) {
+        handleCycleWrap();
+        return;
+      }
+      if (e.data.type === MESSAGE_TYPES.SONG_END) {
+        isPlaying = false;
+        stateManager.set('queuedPattern', null);
+        stateManager.set('songPosition', null);
+        sendMidiTransport(MIDI_CONSTANTS.STOP, outputTimestamp(audioContext.currentTime));
+        renderTransport('Song finished');
+        return;
+      }
+      if (e.data.type === MESSAGE_TYPES.MESSAGE_ERROR) {
+        // The worklet ignores messages it can't validate; resync so it doesn't drift from the UI
+        console.error("Worklet rejected a message:", e.data.error);
+        sendStateToWorklet();
+        return;
+      }
+      if (e.data.type === MESSAGE_TYPES.CLOCK_OUT) {
+        sendMidiClock(outputTimestamp(e.data.time));
+        return;
+      }
+      if (e.data.type === MESSAGE_TYPES.SCOPE_BLOCK) {
+        pushScopeBlock(e.data);
+        return;
+      }
+      if (e.data.type === MESSAGE_TYPES.SH_SAMPLE) {
+        // Held S&H voltages are display-only state; they are drawn on the next global tick
+        const { channel, step, value } = e.data;
+        stateManager.set(`channels.${channel}.shValues.${step}`, value);
+        return;
+      }
+      if (e.data.type !== MESSAGE_TYPES.STEP_CHANGE) return;
       
       const { channel, step } = e.data;
 
@@ -72,18 +431,18 @@ export async function initAudio() {
         // The global step message is now our single, reliable UI sync signal.
         // On this "tick", we update the main grid highlights.
         updateVisibleGrids();
-      } else if (channel >= 0 && channel < 6) {
+      } else if (channel >= 0) {
         // For messages from individual sequencer channels, we just update the state
         // silently in the background. The rendering will happen on the next global tick.
         stateManager.set(`channels.${channel}.currentStep`, step);
         
-        // If this is a trigger channel, also update any coupled pitch channel below it
+        // If this is a trigger channel, also update any coupled channel below it
         const state = stateManager.getState();
         const currentChannel = state.channels[channel];
-        if (currentChannel.mode === 'trigger' && channel < 5) {
+        if (currentChannel.mode === 'trigger') {
           const channelBelow = state.channels[channel + 1];
-          if (channelBelow && channelBelow.mode === 'pitch' && channelBelow.isCoupled) {
-            // Coupled pitch channel should mirror the trigger channel's step position
+          if (channelBelow && COUPLABLE_MODES.includes(channelBelow.mode) && channelBelow.isCoupled) {
+            // Coupled channels mirror the trigger channel's step position
             stateManager.set(`channels.${channel + 1}.currentStep`, step);
           }
         }
@@ -92,6 +451,19 @@ export async function initAudio() {
     
     es8Node.connect(audioContext.destination);
     sendStateToWorklet();
+
+    // From here on, any persistent change the worklet cares about is patched in automatically
+    stateManager.subscribeAll(syncChangesToWorklet);
+    // Clock settings aren't part of the undoable state, so they're sent separately
+    stateManager.subscribe('clock', sendClockSettings);
+    stateManager.subscribe('modulation', openInputsIfNeeded);
+    stateManager.subscribe('midiNotes', sendLiveChannel);
+    stateManager.subscribe('calibration', sendCalibration);
+    stateManager.subscribe('scope.enabled', sendScope);
+    sendClockSettings();
+    sendLiveChannel();
+    sendCalibration();
+    sendScope();
     
     els.initBtn.classList.add('active');
     els.playBtn.disabled = false;
@@ -0,0 +1,83 @@
+import { CALIBRATION_CONSTANTS } from "./constants.js";
+
+/**
+ * Output calibration math, used by the worklet as the last stage of every
+ * output and by the UI to fit guided tuning readings.
+ * A calibration maps the voltage we want onto the voltage to send for it:
+ * either through a table of measured points, or an offset and scale.
+ * Safe to import from the audio worklet.
+ */
+
+/**
+ * A calibration that changes nothing.
+ * @returns {{offset: number, scale: number, points: Array|null}}
+ */
+export function createCalibration() {
+  return {
+    offset: 0, // Volts added after scaling
+    scale: 1,
+    points: null, // [{ volts, output }] from guided tuning, by volts; used instead of offset and scale
+  };
+}
+
+/**
+ * Whether a calibration leaves every voltage as it is, so it can be skipped.
+ */
+export function isIdentity(calibration) {
+  return !calibration || (!calibration.points && calibration.offset === 0 && calibration.scale === 1);
+}
+
+/**
+ * The voltage to send to get the wanted one out of the output. Between
+ * table points the correction is interpolated; beyond them the end
+ * segments carry on.
+ * @param {number} volts - Wanted voltage
+ * @param {Object} calibration
+ * @returns {number} Voltage to send
+ */
+export function calibrateVolts(volts, calibration) {
+  const points = calibration.points;
+  if (!points || points.length < 2) return volts * calibration.scale + calibration.offset;
+
+  let i = 1;
+  while (i < points.length - 1 && volts > points[i].volts) i++;
+  const a = points[i - 1];
+  const b = points[i];
+  return a.output + (volts - a.volts) * (b.output - a.output) / (b.volts - a.volts);
+}
+
+/**
+ * Turns guided tuning readings into a calibration: a straight-line fit for
+ * the offset and scale, and the readings themselves as the table.
+ * @param {{sent: number, measured: number}[]} readings - What was sent and what came out, in volts
+ * @returns {Object|null} Calibration, or null if the readings don't rise with what was sent
+ */
+export function fitCalibration(readings) {
+  const n = readings.length;
+  if (n < 2) return null;
+  const meanSent = readings.reduce((sum, r) => sum + r.sent, 0) / n;
+  const meanMeasured = readings.reduce((sum, r) => sum + r.measured, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+  readings.forEach(r => {
+    covariance += (r.sent - meanSent) * (r.measured - meanMeasured);
+    variance += (r.sent - meanSent) ** 2;
+  });
+  // measured = gain * sent + bias, so send (wanted - bias) / gain
+  const gain = covariance / variance;
+  if (!(gain > 0)) return null;
+  const bias = meanMeasured - gain * meanSent;
+
+  const points = readings
+    .map(r => ({ volts: r.measured, output: r.sent }))
+    .sort((a, b) => a.volts - b.volts);
+  if (points.some((p, i) => i > 0 && p.volts <= points[i - 1].volts)) return null;
+
+  const { MIN_SCALE, MAX_SCALE, MIN_OFFSET, MAX_OFFSET } = CALIBRATION_CONSTANTS;
+  const round = value => Math.round(value * 10000) / 10000;
+  return {
+    offset: round(Math.max(MIN_OFFSET, Math.min(MAX_OFFSET, -bias / gain))),
+    scale: round(Math.max(MIN_SCALE, Math.min(MAX_SCALE, 1 / gain))),
+    points,
+  };
+}
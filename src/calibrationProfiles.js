@@ -0,0 +1,95 @@
+import { stateManager } from "./StateManager.js";
+import { CALIBRATION_CONSTANTS, SEQUENCER_CONSTANTS } from "./constants.js";
+import { createCalibration } from "./calibration.js";
+
+/**
+ * Named output calibration profiles, kept in localStorage.
+ * Calibration belongs to the hardware on this machine rather than to a
+ * preset, so profiles live here and the current one is loaded into the
+ * transient `calibration` state. Edits are written straight back to it.
+ */
+
+const { STORAGE_KEY, DEFAULT_PROFILE } = CALIBRATION_CONSTANTS;
+
+function createOutputs() {
+  return Array(SEQUENCER_CONSTANTS.MAX_CHANNELS).fill(null).map(createCalibration);
+}
+
+// Profiles saved before expander outputs were supported have fewer outputs
+function padOutputs(outputs) {
+  return createOutputs().map((calibration, i) => outputs[i] ?? calibration);
+}
+
+// { current, profiles: { name: outputs } }; a missing or unreadable store starts afresh
+function readStore() {
+  try {
+    const store = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (store?.profiles && store.profiles[store.current]) return store;
+  } catch (error) {
+    console.error("Failed to read calibration profiles:", error);
+  }
+  return { current: DEFAULT_PROFILE, profiles: { [DEFAULT_PROFILE]: createOutputs() } };
+}
+
+function writeStore(store) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+}
+
+// Loads a stored profile into the state
+function showProfile(store) {
+  stateManager.set('calibration.profiles', Object.keys(store.profiles).sort());
+  stateManager.set('calibration.profile', store.current);
+  stateManager.set('calibration.outputs', padOutputs(store.profiles[store.current]));
+}
+
+/**
+ * Loads the last used profile and keeps it updated as outputs are calibrated.
+ */
+export function loadCalibration() {
+  showProfile(readStore());
+  stateManager.subscribe('calibration.outputs', () => {
+    const { profile, outputs } = stateManager.get('calibration');
+    const store = readStore();
+    store.profiles[profile] = outputs;
+    store.current = profile;
+    writeStore(store);
+  });
+}
+
+/**
+ * Saves the current outputs as a new profile, or over an existing one, and switches to it.
+ * @param {string} name - Profile name
+ */
+export function saveProfile(name) {
+  const store = readStore();
+  store.profiles[name] = stateManager.get('calibration.outputs');
+  store.current = name;
+  writeStore(store);
+  showProfile(store);
+}
+
+/**
+ * Switches to a stored profile.
+ * @param {string} name - Profile name
+ */
+export function selectProfile(name) {
+  const store = readStore();
+  if (!store.profiles[name]) return;
+  store.current = name;
+  writeStore(store);
+  showProfile(store);
+}
+
+/**
+ * Deletes a profile and switches to another. Deleting the last one leaves
+ * an uncalibrated default profile.
+ * @param {string} name - Profile name
+ */
+export function deleteProfile(name) {
+  const store = readStore();
+  delete store.profiles[name];
+  if (Object.keys(store.profiles).length === 0) store.profiles[DEFAULT_PROFILE] = createOutputs();
+  if (!store.profiles[store.current]) store.current = Object.keys(store.profiles).sort()[0];
+  writeStore(store);
+  showProfile(store);
+}
@@ -4,9 +4,8 @@
 
 // Sequencer limits
 export const SEQUENCER_CONSTANTS = {
-  MAX_CHANNELS: 8,
-  NUM_CHANNELS: 8, // The total number of physical outputs
-  NUM_SEQUENCER_CHANNELS: 6, // The number of channels for user patterns
+  MAX_CHANNELS: 16, // Tracks, and the most outputs used (an ES-8 with an ESX-8CV expander)
+  NUM_CHANNELS: 8, // Outputs of an ES-8 on its own, used until the interface says otherwise
   MAX_SUBDIVISIONS: 96,
   MIN_SUBDIVISIONS: 2,
   DEFAULT_SUBDIVISIONS: 8,
@@ -17,14 +16,35 @@ export const SEQUENCER_CONSTANTS = {
   TRIGGER_DURATION_SAMPLES: 48, // ~1ms at 48kHz
   TRIGGER_DURATION_SHORT_SAMPLES: 8, // ~0.167ms at 48kHz
   SAMPLE_RATE: 48000,
+  MAX_HISTORY: 100, // Undo steps kept by the StateManager
 };
 
 // Channel modes - EVOLVED MODEL
 export const CHANNEL_MODES = {
   TRIGGER: "trigger",
   PITCH: "pitch",
-  CLOCK: "clock", // New dedicated clock output
-  RAMP: "ramp",   // New dedicated ramp output
+  CLOCK: "clock", // Pulse on every step
+  RAMP: "ramp",   // Phase ramp over the cycle
+  UTILITY: "util", // Reset, run and end-of-cycle signals for other modules
+  LFO: "lfo",     // Continuous CV oscillator
+  SH: "sh",       // Sample & Hold random voltages
+  VELOCITY: "velocity", // Velocity CV of the trigger channel above
+  CC: "cc",       // CV from a MIDI controller
+};
+
+// Modes that can follow the trigger channel above them (velocity always does)
+export const COUPLABLE_MODES = ["pitch", "sh", "velocity"];
+
+// What a utility channel puts out
+export const UTILITY_SOURCES = {
+  RESET: "reset", // Pulse as the pattern starts from the top
+  RUN: "run",     // Gate, high while playing
+  EOC: "eoc",     // Pulse as the pattern, or one track's cycle, ends
+  EOS: "eos",     // Pulse as the song ends or starts over
+};
+
+export const UTILITY_CONSTANTS = {
+  MAX_RATIO: 16, // Largest clock multiplier or divider
 };
 
 // Ramp polarities
@@ -33,7 +53,266 @@ export const RAMP_POLARITIES = {
   NEGATIVE: true,  // +amplitude → 0V (inverted)
 };
 
+// LFO waveforms
+export const LFO_WAVEFORMS = {
+  SINE: "sine",
+  TRIANGLE: "triangle",
+  SQUARE: "square",
+  RAMP: "ramp",
+};
+
+// LFO rate modes
+export const LFO_RATE_MODES = {
+  CYCLES: "cycles", // Cycles per pattern (locked to the master phasor)
+  HZ: "hz",         // Free-running frequency
+};
+
+// LFO output ranges
+export const LFO_RANGES = {
+  BIPOLAR: "bipolar",   // -amplitude → +amplitude
+  UNIPOLAR: "unipolar", // 0V → +amplitude
+};
+
+export const LFO_CONSTANTS = {
+  MIN_RATE: 0.01,
+  MAX_RATE: 100,
+  DEFAULT_RATE: 1,
+  DEFAULT_AMPLITUDE: 5,
+  MAX_AMPLITUDE: 10, // Peak volts, so a bipolar LFO spans the outputs' full ±10V
+};
+
+// Sample & Hold sources
+export const SH_MODES = {
+  RANDOM: "rand",  // A new random value on every sample
+  SHUFFLE: "shuf", // A fixed set of values, permuted each cycle
+};
+
+export const SH_CONSTANTS = {
+  MIN_VOLTAGE: -10,
+  MAX_VOLTAGE: 10,
+  DEFAULT_MIN_VOLTAGE: -5,
+  DEFAULT_MAX_VOLTAGE: 5,
+  DEFAULT_SEED: 1,
+};
+
+// Swing and per-step micro-timing
+export const TIMING_CONSTANTS = {
+  MIN_SWING: 50, // Percent; 50 is straight
+  MAX_SWING: 75, // Even steps start halfway through
+  DEFAULT_SWING: 50,
+  MAX_OFFSET: 0.5, // Furthest a step can move either way, as a fraction of a step
+  OFFSET_RESOLUTION: 24, // Offsets snap to 1/24 of a step
+};
+
+// Playback direction of a channel's steps
+export const DIRECTIONS = {
+  FORWARD: "fwd",
+  REVERSE: "rev",
+  PING_PONG: "pong", // Forward then back, without repeating the end steps
+  RANDOM: "rand",    // Any step, picked by the channel's seed
+  BROWNIAN: "walk",  // A step forward, a step back or stay put
+};
 
+// Where the master phasor takes its tempo from
+export const CLOCK_SOURCES = {
+  INTERNAL: "internal", // Free running from cycleTime
+  MIDI: "midi",         // Slaved to incoming MIDI clock
+  AUDIO: "audio",       // Slaved to clock pulses on an audio input (ES-8/ES-3 inputs)
+};
+
+// MIDI clock and transport; a step is a sixteenth note, or the note value in BPM mode
+export const MIDI_CONSTANTS = {
+  PPQN: 24, // Clock ticks per quarter note
+  CLOCK: 0xF8,
+  START: 0xFA,
+  CONTINUE: 0xFB,
+  STOP: 0xFC,
+  SONG_POSITION: 0xF2, // Followed by the position in sixteenths, LSB then MSB
+  TEMPO_SMOOTHING: 0.1, // Weight of each new tick interval in the tempo estimate
+  MAX_TICK_INTERVAL_MS: 250, // Longer gaps mean the clock stopped; below 10 BPM
+  MIN_LATENCY_MS: -100,
+  MAX_LATENCY_MS: 200,
+  // Channel messages, with the MIDI channel in the low nibble
+  NOTE_OFF: 0x80,
+  NOTE_ON: 0x90,
+  CONTROL_CHANGE: 0xB0,
+  ZERO_VOLT_NOTE: 60, // Middle C plays 0V
+  MAX_CC: 119, // Higher controller numbers are channel mode messages
+  MAX_VALUE: 127,
+  CC_SMOOTHING: 0.002, // Per-sample slew towards a new CC value, to hide the steps
+};
+
+// What incoming MIDI notes do to the pitch channel they're aimed at
+export const MIDI_NOTE_MODES = {
+  OFF: "off",
+  LIVE: "live", // Play the channel's pitch and gate the trigger channel above
+  RECORD: "record", // Step-record into the pattern at the cursor
+};
+
+// Output calibration, in volts
+export const CALIBRATION_CONSTANTS = {
+  REFERENCE_VOLTS: [0, 1, 2, 3, 4, 5], // Sent one at a time during guided tuning
+  MIN_OFFSET: -1,
+  MAX_OFFSET: 1,
+  MIN_SCALE: 0.8,
+  MAX_SCALE: 1.2,
+  STORAGE_KEY: "es8-calibration", // localStorage: profiles belong to this machine's hardware
+  DEFAULT_PROFILE: "default",
+};
+
+// Output scope: the worklet sends the min and max of every DECIMATION samples,
+// BLOCK_POINTS at a time, while the scope is open
+export const SCOPE_CONSTANTS = {
+  DECIMATION: 32,
+  BLOCK_POINTS: 48, // About 30 blocks a second
+  WINDOW_POINTS: 750, // Half a second across the screen
+  MAX_VOLTS: 10,
+  GRID_VOLTS: [-10, -5, 0, 5, 10],
+  COLORS: ["#e0e0e0", "#e06c5a", "#e0b04a", "#8fd05a", "#4ac8c0", "#5a8fe0", "#b07ae0", "#e07ab8"], // Reused for outputs 9-16
+};
+
+// Tempo is either seconds per cycle or musical time
+export const TEMPO_MODES = {
+  SECONDS: "seconds",
+  BPM: "bpm",
+};
+
+// Step lengths as fractions of a whole note: T for triplets, . for dotted
+export const NOTE_VALUES = {
+  "1/4": 1 / 4,
+  "1/8.": 3 / 16,
+  "1/8": 1 / 8,
+  "1/8T": 1 / 12,
+  "1/16.": 3 / 32,
+  "1/16": 1 / 16,
+  "1/16T": 1 / 24,
+  "1/32": 1 / 32,
+};
+
+export const TEMPO_CONSTANTS = {
+  MIN_BPM: 20,
+  MAX_BPM: 300,
+  DEFAULT_BPM: 120,
+  MAX_BEATS: 32, // Beats in a bar
+  BEAT_UNITS: [2, 4, 8, 16], // Time signature denominators; BPM counts these
+  DEFAULT_NOTE_VALUE: "1/16",
+  NUDGE: 0.04, // Speed change while a nudge is held
+  TAP_COUNT: 4, // Taps averaged for tap tempo
+  TAP_TIMEOUT_MS: 2000, // A longer gap starts a new tempo
+};
+
+// Clock pulses on an audio input; input levels are 1.0 = +10V
+export const EXT_CLOCK_CONSTANTS = {
+  HIGH_THRESHOLD: 0.2, // A rising edge crosses 2V...
+  LOW_THRESHOLD: 0.1,  // ...after falling below 1V, so noisy edges count once
+  PPQN_OPTIONS: [1, 2, 4, 8, 12, 24, 48], // Pulses per quarter note; 4 is a pulse per step
+  DEFAULT_PPQN: 4,
+  TEMPO_SMOOTHING: 0.25, // Weight of each new pulse interval in the tempo estimate
+  MAX_PULSE_INTERVAL_S: 2, // Longer gaps mean the clock stopped
+  NUM_INPUTS: 8,
+};
+
+// CV inputs routed onto sequencer parameters
+export const MOD_TARGETS = {
+  TRANSPOSE: "transpose",
+  PROBABILITY: "probability",
+  OFFSET: "offset",
+  AMPLITUDE: "amplitude",
+};
+
+export const MOD_CONSTANTS = {
+  MAX_ROUTES: 8,
+  MIN_AMOUNT: -100, // Percent; negative inverts the input
+  MAX_AMOUNT: 100,
+  DEFAULT_AMOUNT: 100,
+  // What +1V does to each target at 100%
+  PER_VOLT: {
+    transpose: 12, // Semitones: 1V/octave
+    probability: 10, // Percent
+    offset: 0.05, // Steps, so 10V moves every step by half a step
+    amplitude: 0.1, // Fraction of the amplitude: +10V doubles it, -10V silences it
+  },
+  // Channel modes each target applies to
+  TARGET_MODES: {
+    transpose: ["pitch"],
+    probability: ["trigger"],
+    offset: ["trigger", "pitch", "sh"],
+    amplitude: ["ramp"],
+  },
+};
+
+// Pattern generators for trigger channels
+export const GENERATOR_TYPES = {
+  OFF: "off",
+  EUCLIDEAN: "euclid", // Hits spread evenly over the steps
+  RANDOM: "rand",      // Each step hits with a fixed chance
+  GRIDS: "grids",      // Drum maps blended by x/y position
+};
+
+export const GRIDS_PARTS = {
+  KICK: "bd",
+  SNARE: "sd",
+  HAT: "hh",
+};
+
+export const GENERATOR_CONSTANTS = {
+  DEFAULT_HITS: 4,
+  DEFAULT_DENSITY: 50, // Percent
+  MAX_POSITION: 100,   // Grids x/y run from 0 to this
+};
+
+// Trig conditions for trigger steps; ratios such as "1:2" are written as strings too
+export const TRIG_CONDITIONS = {
+  FIRST: "first",         // First loop after play or a pattern change
+  NOT_FIRST: "!first",
+  FILL: "fill",           // Only while fill is held
+  NOT_FILL: "!fill",
+  PREVIOUS: "pre",        // Previous conditional step on the channel fired
+  NOT_PREVIOUS: "!pre",
+};
+
+export const TRIG_CONSTANTS = {
+  MAX_RATIO: 8, // Longest A:B condition cycle
+  DEFAULT_PROBABILITY: 100, // Percent
+  DEFAULT_SEED: 1,
+};
+
+// Ratchets: a step split into evenly spaced repeats
+export const RATCHET_CONSTANTS = {
+  MIN: 1,
+  MAX: 8,
+  MAX_DECAY: 1, // Each repeat's level is the previous one's times (1 - decay)
+};
+
+// Per-step velocity of trigger steps, in percent
+export const VELOCITY_CONSTANTS = {
+  MIN: 0,
+  MAX: 100,
+  DEFAULT: 100,
+  DEFAULT_AMPLITUDE: 10, // Volts at 100% on a velocity channel
+  MAX_AMPLITUDE: 10,
+};
+
+// Per-step gate length of trigger steps, in percent of a step
+export const GATE_CONSTANTS = {
+  MIN: 1,
+  MAX: 400, // Past 100% a gate runs on into the following steps
+};
+
+// Pattern bank and song mode
+export const BANK_CONSTANTS = {
+  NUM_PATTERNS: 16,
+  MAX_REPEATS: 99,
+};
+
+// Preset storage and file format
+export const PRESET_CONSTANTS = {
+  SCHEMA_ID: "es8-sequencer-preset",
+  SCHEMA_VERSION: 2,
+  DB_NAME: "es8-sequencer",
+  DB_VERSION: 1,
+  STORE_NAME: "presets",
+};
 
 // Trigger duration options
 export const TRIGGER_DURATIONS = [
@@ -49,38 +328,106 @@ export const PITCH_CONSTANTS = {
   MAX_SEMITONES: 120,
   SEMITONES_PER_VOLT: 12,
   VOLTAGE_SCALE: 10, // Maps ±1.0 audio to ±10V
+  ZERO_VOLT_OCTAVE: 4, // 0V (semitone 0) is C4
+};
+
+// Glide (portamento) settings for pitch channels
+export const GLIDE_UNITS = {
+  MS: "ms",     // Slide time in milliseconds
+  STEP: "step", // Slide time as a fraction of a step
 };
 
-// Message types for worklet communication
+export const GLIDE_CURVES = {
+  LINEAR: "linear",
+  EXPONENTIAL: "exponential", // Fast start, slow approach (RC-style)
+};
+
+export const GLIDE_CONSTANTS = {
+  MAX_MS: 5000,
+  MAX_STEPS: 1, // In step units the time is a fraction of a step
+  DEFAULT_TIME: 50,
+};
+
+export const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+// Quantizer scale types that are not built-in semitone masks
+export const SCALE_TYPES = {
+  OFF: "off",       // No quantization, raw semitones
+  CUSTOM: "custom", // User-defined semitone mask
+  SCALA: "scala",   // Loaded from a Scala .scl file
+};
+
+// Built-in scales as 12-character semitone masks, starting from the root
+export const SCALES = {
+  chromatic: { label: "chr", mask: "111111111111" },
+  major: { label: "maj", mask: "101011010101" },
+  minor: { label: "min", mask: "101101011010" },
+  harmonicMinor: { label: "hmin", mask: "101101011001" },
+  dorian: { label: "dor", mask: "101101010110" },
+  phrygian: { label: "phr", mask: "110101011010" },
+  lydian: { label: "lyd", mask: "101010110101" },
+  mixolydian: { label: "mix", mask: "101011010110" },
+  locrian: { label: "loc", mask: "110101101010" },
+  majorPentatonic: { label: "pent", mask: "101010010100" },
+  minorPentatonic: { label: "mpen", mask: "100101010010" },
+  blues: { label: "blue", mask: "100101110010" },
+};
+
+// Message types for worklet communication (see messageProtocol.js for payloads)
 export const MESSAGE_TYPES = {
   // Transport control
   START: "start",
   STOP: "stop",
-  PAUSE: "pause",
+  QUEUE_PATTERN: "queuePattern",
+  SET_CURRENT_PATTERN: "setCurrentPattern",
+
+  // Full state sync, used on init and as a fallback
+  SET_STATE: "setState",
 
   // Configuration
   SET_CYCLE_TIME: "setCycleTime",
   SET_SUBDIVISIONS: "setSubdivisions",
-  SET_CHANNEL_SUBDIVISIONS: "setChannelSubdivisions",
-  SET_POLYRHYTHM: "setPolyrhythm",
+  SET_SWING: "setSwing",
+  SET_FILL: "setFill",
+  SET_CLOCK: "setClock",
+  SET_MODULATION: "setModulation",
+  SET_TEMPO: "setTempo",
+  SET_NUDGE: "setNudge",
+  SET_LIVE_CHANNEL: "setLiveChannel",
+  SET_CALIBRATION: "setCalibration",
+  SET_ROUTING: "setRouting",
+  SET_SCOPE: "setScope",
+
+  // MIDI input
+  LIVE_NOTE: "liveNote",
+  SET_CC: "setCc",
+
+  // External clock
+  CLOCK_TICK: "clockTick",
 
   // Channel configuration
   SET_CHANNEL_MODE: "setChannelMode",
-  SET_CV_MODE: "setCVMode",
+  SET_CHANNEL_PARAM: "setChannelParam",
 
   // Pattern data
   UPDATE_PATTERN: "updatePattern",
-  CLEAR_PATTERN: "clearPattern",
-
-  // Trigger parameters
-  SET_TRIGGER_DURATION: "setTriggerDuration",
+  SET_CHANNEL_PATTERN: "setChannelPattern",
 
   // CV parameters
   UPDATE_PITCH: "updatePitch",
 
+  // Several of the above, applied together
+  BATCH: "batch",
+
   // UI updates from worklet
-  STEP_UPDATE: "stepUpdate",
   STEP_CHANGE: "stepChange",
+  SH_SAMPLE: "shSample",
+  PATTERN_CHANGE: "patternChange",
+  CYCLE_WRAP: "cycleWrap",
+  SONG_END: "songEnd",
+  CLOCK_OUT: "clockOut",
+  SCOPE_BLOCK: "scopeBlock",
+  MESSAGE_ERROR: "messageError",
 };
 
 // UI Classes and IDs
@@ -103,6 +450,11 @@ export const MODE_ICONS = {
   'pitch': '🎹',
   'clock': '🕒',
   'ramp': '📈',
+  'lfo': '🌊',
+  'sh': '🎲',
+  'velocity': '📶',
+  'cc': '🎛',
+  'util': '🚦',
 };
 
 // Color constants
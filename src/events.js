@@ -1,38 +1,105 @@
-import { stateManager } from "./StateManager.js";
-import { els, renderAll, renderMultiChannelView, updateStatus } from "./ui.js";
-import { initAudio, togglePlayback, sendStateToWorklet } from "./audio.js";
-import { CHANNEL_MODES, SEQUENCER_CONSTANTS } from "./constants.js";
+import { stateManager, createTriggerChannel, createPitchChannel, createClockChannel, createRampChannel, createLfoChannel, createShChannel, createVelocityChannel, createCcChannel, createUtilityChannel, createModRoute } from "./StateManager.js";
+import { els, renderAll, renderPatternBank, renderPresetList, openStepEditor, closeStepEditor, updateStatus } from "./ui.js";
+import { initAudio, togglePlayback, startPlayback, stopPlayback, sendClockTick, sendLiveNote, sendCc, requestPatternChange, setSongEnabled, setFill, setNudge } from "./audio.js";
+import { initMidi, selectMidiInput, selectMidiOutput, releaseNotes, recordRest } from "./midi.js";
+import { CHANNEL_MODES, LFO_CONSTANTS, SH_CONSTANTS, SCALE_TYPES, GLIDE_CONSTANTS, TIMING_CONSTANTS, RATCHET_CONSTANTS, VELOCITY_CONSTANTS, GATE_CONSTANTS, SEQUENCER_CONSTANTS, GENERATOR_CONSTANTS, MIDI_CONSTANTS, MOD_CONSTANTS, EXT_CLOCK_CONSTANTS, TEMPO_MODES, TEMPO_CONSTANTS, MIDI_NOTE_MODES, CALIBRATION_CONSTANTS, GLIDE_UNITS } from "./constants.js";
+import { isValidMask, parseScala } from "./scales.js";
+import { savePreset, loadPreset, deletePreset, listPresets, exportPresetFile, importPresetFile } from "./presets.js";
+import { createEmptySlot, applySlot, parseSongChain } from "./patternBank.js";
+import { generatePattern } from "./generators.js";
+import { createCalibration, fitCalibration } from "./calibration.js";
+import { saveProfile, selectProfile, deleteProfile } from "./calibrationProfiles.js";
+import { cycleSeconds, stepsPerBar, bpmForCycle, bpmFromTaps, parseTimeSignature, parseClockRatio } from "./tempo.js";
 
 // Module-level state for UI interactions
 let isDragging = false;
 let dragValue = false;
 let copiedChannel = null;
+let nudge = null; // Step being micro-timed by a Shift-drag: { channel, step, startX, cellWidth, startOffset, moved }
+let isDrawingVelocity = false;
 
 // Mode cycle order
-const MODE_CYCLE = ['trigger', 'pitch'];
+const MODE_CYCLE = ['trigger', 'pitch', 'lfo', 'sh', 'velocity', 'cc', 'clock', 'ramp', 'util'];
+
+// Valid ranges for float-valued channel params
+const FLOAT_PARAM_RANGES = {
+  rate: { min: LFO_CONSTANTS.MIN_RATE, max: LFO_CONSTANTS.MAX_RATE },
+  phase: { min: 0, max: 1 },
+  minVoltage: { min: SH_CONSTANTS.MIN_VOLTAGE, max: SH_CONSTANTS.MAX_VOLTAGE },
+  maxVoltage: { min: SH_CONSTANTS.MIN_VOLTAGE, max: SH_CONSTANTS.MAX_VOLTAGE },
+  ratchetDecay: { min: 0, max: RATCHET_CONSTANTS.MAX_DECAY },
+};
+
+// Valid ranges for the integer fields in the step editor
+const STEP_EDITOR_RANGES = {
+  probabilities: { min: 0, max: 100 },
+  ratchets: { min: RATCHET_CONSTANTS.MIN, max: RATCHET_CONSTANTS.MAX },
+  velocities: { min: VELOCITY_CONSTANTS.MIN, max: VELOCITY_CONSTANTS.MAX },
+  gates: { min: GATE_CONSTANTS.MIN, max: GATE_CONSTANTS.MAX },
+};
+
+// Valid ranges for integer channel params, including the generator settings
+const INT_PARAM_RANGES = {
+  'generator.hits': { min: 0, max: SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS },
+  'generator.rotation': { min: -SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS, max: SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS },
+  'generator.density': { min: 0, max: 100 },
+  'generator.x': { min: 0, max: GENERATOR_CONSTANTS.MAX_POSITION },
+  'generator.y': { min: 0, max: GENERATOR_CONSTANTS.MAX_POSITION },
+  cc: { min: 0, max: MIDI_CONSTANTS.MAX_CC },
+  duration: { min: 1, max: SEQUENCER_CONSTANTS.SAMPLE_RATE }, // Clock pulse, in samples
+};
+
+// Step editor fields where blank falls back to the channel setting
+const OPTIONAL_STEP_FIELDS = ['gates'];
+
+// Select-based params whose option values are numbers; a blank option is null
+const NUMERIC_SELECT_PARAMS = ['scaleRoot', 'track'];
 
 function getChannelMode(channel) {
   return channel.mode;
 }
 
 function cycleChannelMode(channelIndex) {
-  // Channels 7 and 8 (index 6 and 7) are dedicated utility channels - not user configurable
-  if (channelIndex >= 6) {
-    return; // Do nothing for utility channels
-  }
-
   const state = stateManager.getState();
   const currentMode = getChannelMode(state.channels[channelIndex]);
   const currentIndex = MODE_CYCLE.indexOf(currentMode);
-  const nextMode = MODE_CYCLE[(currentIndex + 1) % MODE_CYCLE.length];
+  let nextMode = MODE_CYCLE[(currentIndex + 1) % MODE_CYCLE.length];
+  // Velocity lanes need a trigger channel above them
+  if (nextMode === 'velocity' && channelIndex === 0) {
+    nextMode = MODE_CYCLE[0];
+  }
 
   if (nextMode === 'trigger') {
-    stateManager.set(`channels.${channelIndex}.mode`, CHANNEL_MODES.TRIGGER);
+    // Fill in per-step trigger data the channel doesn't have yet
+    const channel = state.channels[channelIndex];
+    stateManager.set(`channels.${channelIndex}`, { ...createTriggerChannel(), ...channel, mode: CHANNEL_MODES.TRIGGER });
   } else if (nextMode === 'pitch') {
-    stateManager.set(`channels.${channelIndex}.mode`, CHANNEL_MODES.PITCH);
+    // Channels that were never sequenced, like a clock, have no pitches yet
+    const channel = state.channels[channelIndex];
+    stateManager.set(`channels.${channelIndex}`, { ...createPitchChannel(false), ...channel, mode: CHANNEL_MODES.PITCH });
+  } else if (nextMode === 'lfo') {
+    // Fill in LFO parameters the channel doesn't have yet, keeping its pattern data
+    const channel = state.channels[channelIndex];
+    stateManager.set(`channels.${channelIndex}`, { ...createLfoChannel(), ...channel, mode: CHANNEL_MODES.LFO });
+  } else if (nextMode === 'sh') {
+    const channel = state.channels[channelIndex];
+    stateManager.set(`channels.${channelIndex}`, { ...createShChannel(), ...channel, mode: CHANNEL_MODES.SH });
+  } else if (nextMode === 'velocity') {
+    const channel = state.channels[channelIndex];
+    stateManager.set(`channels.${channelIndex}`, { ...createVelocityChannel(), ...channel, mode: CHANNEL_MODES.VELOCITY, isCoupled: true });
+  } else if (nextMode === 'cc') {
+    const channel = state.channels[channelIndex];
+    stateManager.set(`channels.${channelIndex}`, { ...createCcChannel(), ...channel, mode: CHANNEL_MODES.CC });
+  } else if (nextMode === 'clock') {
+    const channel = state.channels[channelIndex];
+    stateManager.set(`channels.${channelIndex}`, { ...createClockChannel(), ...channel, mode: CHANNEL_MODES.CLOCK });
+  } else if (nextMode === 'ramp') {
+    const channel = state.channels[channelIndex];
+    stateManager.set(`channels.${channelIndex}`, { ...createRampChannel(), ...channel, mode: CHANNEL_MODES.RAMP });
+  } else if (nextMode === 'util') {
+    const channel = state.channels[channelIndex];
+    stateManager.set(`channels.${channelIndex}`, { ...createUtilityChannel(), ...channel, mode: CHANNEL_MODES.UTILITY });
   }
-  renderAll();
-  sendStateToWorklet();
 }
 
 function toggleStep(channel, step, value) {
@@ -41,52 +108,568 @@ function toggleStep(channel, step, value) {
 
   stateManager.set(`pattern.${channel}.${step}`, value);
   
-  const cell = els.multiChannelView.querySelector(`[data-channel="${channel}"][data-step="${step}"]:not(.pitch-cell)`);
-  if (cell) cell.classList.toggle('active', value);
-  
-  sendStateToWorklet();
-  
   // Handle coupled channel behavior when trigger changes
-  if (channel < 5) { // channels 0-4 can have coupled channels below
-    const state = stateManager.getState();
-    const channelBelow = state.channels[channel + 1];
+  const state = stateManager.getState();
+  const channelBelow = state.channels[channel + 1];
+  
+  if (channelBelow && channelBelow.mode === 'pitch' && channelBelow.isCoupled) {
+    // Calculate the corresponding step in the pitch channel
+    const pitchPatternLength = channelBelow.steps || state.subdivisions;
+    const pitchStep = step % pitchPatternLength;
     
-    if (channelBelow && channelBelow.mode === 'pitch' && channelBelow.isCoupled) {
-      // Calculate the corresponding step in the pitch channel
-      const pitchPatternLength = channelBelow.steps || state.subdivisions;
-      const pitchStep = step % pitchPatternLength;
-      
-      if (value) {
-        // Activating trigger: focus the corresponding pitch cell
-        renderAll();
-        setTimeout(() => {
-          const pitchCell = els.multiChannelView.querySelector(`[data-channel="${channel + 1}"][data-step="${pitchStep}"].pitch-cell`);
-          if (pitchCell && !pitchCell.disabled) {
-            pitchCell.focus();
-            pitchCell.select();
-          }
-        }, 50);
-      } else {
-        // Deactivating trigger: clear the corresponding pitch cell content
-        stateManager.set(`channels.${channel + 1}.pitches.${pitchStep}`, null);
-        sendStateToWorklet();
-        renderAll();
-      }
+    if (value) {
+      // Activating trigger: focus the corresponding pitch cell once the row has re-rendered
+      setTimeout(() => {
+        const pitchCell = els.multiChannelView.querySelector(`[data-channel="${channel + 1}"][data-step="${pitchStep}"].pitch-cell`);
+        if (pitchCell && !pitchCell.disabled) {
+          pitchCell.focus();
+          pitchCell.select();
+        }
+      }, 50);
+    } else {
+      // Deactivating trigger: clear the corresponding pitch cell content
+      stateManager.set(`channels.${channel + 1}.pitches.${pitchStep}`, null);
     }
   }
 }
 
+/**
+ * Writes the output of a channel's generator into its pattern. Steps past the
+ * channel's length are cleared.
+ */
+function applyGenerator(channelIndex) {
+  const channel = stateManager.get(`channels.${channelIndex}`);
+  const hits = generatePattern(channel.generator, channel.steps || stateManager.get('subdivisions'));
+  if (!hits) return;
+
+  const pattern = Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(false);
+  hits.forEach((hit, step) => pattern[step] = hit);
+  stateManager.set(`pattern.${channelIndex}`, pattern);
+}
+
+function toggleSlide(channel, step) {
+  const isSlide = !stateManager.get(`channels.${channel}.slides.${step}`);
+  stateManager.set(`channels.${channel}.slides.${step}`, isSlide);
+}
+
+function toggleTie(channel, step) {
+  const isTied = !stateManager.get(`channels.${channel}.ties.${step}`);
+  stateManager.set(`channels.${channel}.ties.${step}`, isTied);
+}
+
+/**
+ * Shift-drag on a trigger step moves it early or late by up to half a step;
+ * a Shift-click without dragging resets it. The gesture is one undo step.
+ */
+function startNudge(e, cell) {
+  const channel = parseInt(cell.dataset.channel);
+  const step = parseInt(cell.dataset.step);
+  nudge = {
+    channel,
+    step,
+    startX: e.clientX,
+    cellWidth: cell.getBoundingClientRect().width,
+    startOffset: stateManager.get(`channels.${channel}.offsets.${step}`) || 0,
+    moved: false,
+  };
+  stateManager.beginTransaction();
+  document.body.classList.add('nudging');
+}
+
+function updateNudge(e) {
+  const { MAX_OFFSET, OFFSET_RESOLUTION } = TIMING_CONSTANTS;
+  const { channel, step, startX, cellWidth, startOffset } = nudge;
+  const dx = e.clientX - startX;
+  if (Math.abs(dx) < 2 && !nudge.moved) return;
+  nudge.moved = true;
+
+  const offset = Math.max(-MAX_OFFSET, Math.min(MAX_OFFSET, startOffset + dx / cellWidth));
+  const snapped = Math.round(offset * OFFSET_RESOLUTION) / OFFSET_RESOLUTION;
+  if (snapped !== stateManager.get(`channels.${channel}.offsets.${step}`)) {
+    stateManager.set(`channels.${channel}.offsets.${step}`, snapped);
+  }
+}
+
+function endNudge() {
+  const { channel, step, moved } = nudge;
+  if (!moved && stateManager.get(`channels.${channel}.offsets.${step}`)) {
+    stateManager.set(`channels.${channel}.offsets.${step}`, 0);
+  }
+  stateManager.endTransaction();
+  nudge = null;
+  document.body.classList.remove('nudging');
+}
+
+/**
+ * Sets the velocity of the trigger step above a velocity lane cell from the
+ * pointer's height in the cell.
+ */
+function drawVelocity(e, cell) {
+  const channel = parseInt(cell.dataset.channel) - 1;
+  const triggerChannel = stateManager.get(`channels.${channel}`);
+  if (triggerChannel?.mode !== 'trigger') return;
+
+  const rect = cell.getBoundingClientRect();
+  const fraction = 1 - (e.clientY - rect.top) / rect.height;
+  const { MIN, MAX } = VELOCITY_CONSTANTS;
+  const velocity = Math.max(MIN, Math.min(MAX, Math.round(fraction * MAX)));
+  const step = parseInt(cell.dataset.step) % (triggerChannel.steps || stateManager.get('subdivisions'));
+  if (velocity !== triggerChannel.velocities?.[step]) {
+    stateManager.set(`channels.${channel}.velocities.${step}`, velocity);
+  }
+}
+
+function loadScalaFile(channelIndex) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.scl';
+  input.addEventListener('change', async () => {
+    const file = input.files[0];
+    if (!file) return;
+    try {
+      const { description, degrees, period } = parseScala(await file.text());
+      stateManager.transaction(() => {
+        stateManager.set(`channels.${channelIndex}.scala`, { name: file.name, description, degrees, period });
+        stateManager.set(`channels.${channelIndex}.scale`, SCALE_TYPES.SCALA);
+      });
+      updateStatus(`Loaded ${file.name}`);
+    } catch (error) {
+      console.error("Failed to load Scala file:", error);
+      updateStatus(`Error: ${error.message}`);
+    }
+  });
+  input.click();
+}
+
 function clearAll() {
-  const pattern = Array(SEQUENCER_CONSTANTS.MAX_CHANNELS).fill(null).map(() => Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(false));
-  stateManager.set('pattern', pattern);
-  
-  for (let i = 0; i < SEQUENCER_CONSTANTS.MAX_CHANNELS; i++) {
-    stateManager.set(`channels.${i}.pitches`, Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(null));
+  // Clears the live pattern only; the rest of the bank is left alone
+  stateManager.transaction(() => applySlot(createEmptySlot(stateManager.getState())));
+  updateStatus('Cleared all patterns (Ctrl+Z to undo)');
+}
+
+function undo() {
+  if (!stateManager.undo()) {
+    updateStatus('Nothing to undo');
+    return;
   }
-  
-  renderAll();
-  sendStateToWorklet();
-  updateStatus('Cleared all patterns');
+  updateStatus('Undo');
+}
+
+function redo() {
+  if (!stateManager.redo()) {
+    updateStatus('Nothing to redo');
+    return;
+  }
+  updateStatus('Redo');
+}
+
+async function refreshPresetList(selected) {
+  try {
+    renderPresetList(await listPresets(), selected);
+  } catch (error) {
+    console.error("Failed to list presets:", error);
+  }
+}
+
+function setupPresetListeners() {
+  refreshPresetList();
+
+  els.presetSelect.addEventListener('change', async (e) => {
+    const name = e.target.value;
+    if (!name) return;
+    try {
+      await loadPreset(name);
+      updateStatus(`Loaded preset "${name}"`);
+    } catch (error) {
+      console.error("Failed to load preset:", error);
+      updateStatus(`Error: ${error.message}`);
+    }
+  });
+
+  els.savePresetBtn.addEventListener('click', async () => {
+    const name = prompt('Preset name', els.presetSelect.value || 'Untitled')?.trim();
+    if (!name) return;
+    try {
+      await savePreset(name);
+      await refreshPresetList(name);
+      updateStatus(`Saved preset "${name}"`);
+    } catch (error) {
+      console.error("Failed to save preset:", error);
+      updateStatus(`Error: ${error.message}`);
+    }
+  });
+
+  els.deletePresetBtn.addEventListener('click', async () => {
+    const name = els.presetSelect.value;
+    if (!name || !confirm(`Delete preset "${name}"?`)) return;
+    try {
+      await deletePreset(name);
+      await refreshPresetList();
+      updateStatus(`Deleted preset "${name}"`);
+    } catch (error) {
+      console.error("Failed to delete preset:", error);
+      updateStatus(`Error: ${error.message}`);
+    }
+  });
+
+  els.exportPresetBtn.addEventListener('click', () => {
+    exportPresetFile(els.presetSelect.value || 'pattern');
+  });
+
+  // Drag-and-drop a .json preset anywhere on the page to import it
+  document.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    document.body.classList.add('drop-target');
+  });
+
+  document.addEventListener('dragleave', (e) => {
+    if (e.relatedTarget === null) document.body.classList.remove('drop-target');
+  });
+
+  document.addEventListener('drop', async (e) => {
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    e.preventDefault();
+    document.body.classList.remove('drop-target');
+    try {
+      const preset = await importPresetFile(file);
+      updateStatus(`Imported preset "${preset.name}"`);
+    } catch (error) {
+      console.error("Failed to import preset:", error);
+      updateStatus(`Error: ${error.message}`);
+    }
+  });
+}
+
+function setupStepEditorListeners() {
+  // Right-click a trigger step to edit its probability and trig condition
+  els.multiChannelView.addEventListener('contextmenu', e => {
+    const cell = e.target.closest('.pattern-step');
+    if (!cell || cell.classList.contains('pitch-cell')) return;
+    const channel = parseInt(cell.dataset.channel);
+    if (stateManager.get(`channels.${channel}.mode`) !== 'trigger') return;
+    e.preventDefault();
+    openStepEditor(channel, parseInt(cell.dataset.step));
+  });
+
+  document.addEventListener('change', e => {
+    const editor = e.target.closest('.step-editor');
+    if (!editor) return;
+    const channel = parseInt(editor.dataset.channel);
+    const step = parseInt(editor.dataset.step);
+    const { param } = e.target.dataset;
+
+    let value;
+    if (e.target.type === 'checkbox') {
+      value = e.target.checked;
+    } else if (OPTIONAL_STEP_FIELDS.includes(param) && e.target.value.trim() === '') {
+      value = null;
+    } else if (param in STEP_EDITOR_RANGES) {
+      const { min, max } = STEP_EDITOR_RANGES[param];
+      value = parseInt(e.target.value);
+      if (isNaN(value) || value < min || value > max) {
+        e.target.value = stateManager.get(`channels.${channel}.${param}.${step}`) ?? ''; // Show the original value if input is invalid
+        return;
+      }
+    } else {
+      value = e.target.value || null; // "—" means always
+    }
+    stateManager.set(`channels.${channel}.${param}.${step}`, value);
+  });
+
+  // Clicking anywhere else closes the editor
+  document.addEventListener('mousedown', e => {
+    if (!e.target.closest?.('.step-editor')) closeStepEditor();
+  });
+}
+
+function setupMidiListeners() {
+  els.midiBtn.addEventListener('click', () => {
+    initMidi({ onStart: startPlayback, onStop: stopPlayback, onTick: sendClockTick, onNote: sendLiveNote, onCc: sendCc });
+  });
+  els.midiIn.addEventListener('change', e => selectMidiInput(e.target.value));
+  els.midiOut.addEventListener('change', e => selectMidiOutput(e.target.value));
+
+  els.midiClockOut.addEventListener('change', e => stateManager.set('clock.sendMidi', e.target.checked));
+  els.midiLatency.addEventListener('change', e => {
+    const value = parseFloat(e.target.value);
+    if (!isNaN(value) && value >= MIDI_CONSTANTS.MIN_LATENCY_MS && value <= MIDI_CONSTANTS.MAX_LATENCY_MS) {
+      stateManager.set('clock.latency', value);
+    } else {
+      e.target.value = stateManager.get('clock.latency'); // Show the original value if input is invalid
+    }
+  });
+
+  // Notes held across a change of note settings would leave the gate open
+  els.midiChannel.addEventListener('change', e => {
+    releaseNotes();
+    stateManager.set('midiNotes.midiChannel', e.target.value === '' ? null : parseInt(e.target.value));
+  });
+  els.midiNoteMode.addEventListener('change', e => {
+    releaseNotes();
+    stateManager.set('midiNotes', { ...stateManager.get('midiNotes'), mode: e.target.value, cursor: 0 });
+  });
+  els.midiNoteChannel.addEventListener('change', e => {
+    releaseNotes();
+    stateManager.set('midiNotes', { ...stateManager.get('midiNotes'), channel: parseInt(e.target.value), cursor: 0 });
+  });
+  els.midiRestBtn.addEventListener('click', recordRest);
+
+  // While recording, clicking into a step of the channel moves the cursor there
+  els.multiChannelView.addEventListener('focusin', e => {
+    const { mode, channel } = stateManager.get('midiNotes');
+    if (mode !== MIDI_NOTE_MODES.RECORD || !e.target.classList.contains('pitch-cell')) return;
+    if (parseInt(e.target.dataset.channel) === channel) stateManager.set('midiNotes.cursor', parseInt(e.target.dataset.step));
+  });
+}
+
+function setupRoutingListeners() {
+  els.routing.addEventListener('change', e => {
+    const out = e.target.dataset.output;
+    if (out === undefined) return;
+    stateManager.set(`routing.${out}`, e.target.value === '' ? null : parseInt(e.target.value));
+  });
+}
+
+function setupScopeListeners() {
+  els.scopeBtn.addEventListener('click', () => stateManager.set('scope.enabled', !stateManager.get('scope.enabled')));
+  // Clicking a meter switches its output's trace on or off
+  els.scopeMeters.addEventListener('click', e => {
+    const out = e.target.closest('[data-output]')?.dataset.output;
+    if (out === undefined) return;
+    const hidden = stateManager.get('scope.hidden');
+    const index = parseInt(out);
+    stateManager.set('scope.hidden', hidden.includes(index) ? hidden.filter(o => o !== index) : [...hidden, index]);
+  });
+}
+
+function setupCalibrationListeners() {
+  els.calProfile.addEventListener('change', e => selectProfile(e.target.value));
+  els.calSaveBtn.addEventListener('click', () => {
+    const name = prompt('Calibration profile name', stateManager.get('calibration.profile'))?.trim();
+    if (!name) return;
+    saveProfile(name);
+    updateStatus(`Saved calibration "${name}"`);
+  });
+  els.calDeleteBtn.addEventListener('click', () => {
+    const name = stateManager.get('calibration.profile');
+    if (!confirm(`Delete calibration "${name}"?`)) return;
+    deleteProfile(name);
+    updateStatus(`Deleted calibration "${name}"`);
+  });
+
+  els.calChannel.addEventListener('change', e => stateManager.set('calibration.channel', parseInt(e.target.value)));
+  const { MIN_OFFSET, MAX_OFFSET, MIN_SCALE, MAX_SCALE } = CALIBRATION_CONSTANTS;
+  [[els.calOffset, 'offset', MIN_OFFSET, MAX_OFFSET], [els.calScale, 'scale', MIN_SCALE, MAX_SCALE]].forEach(([el, field, min, max]) => {
+    el.addEventListener('change', e => {
+      const path = `calibration.outputs.${stateManager.get('calibration.channel')}`;
+      const value = parseFloat(e.target.value);
+      if (!isNaN(value) && value >= min && value <= max) {
+        // The output only follows the offset and scale without a tuned table, so editing one drops the table
+        stateManager.set(path, { ...stateManager.get(path), [field]: value, points: null });
+      } else {
+        e.target.value = stateManager.get(`${path}.${field}`); // Show the original value if input is invalid
+      }
+    });
+  });
+  els.calClearBtn.addEventListener('click', () => {
+    stateManager.set(`calibration.outputs.${stateManager.get('calibration.channel')}`, createCalibration());
+  });
+
+  els.calTuneBtn.addEventListener('click', () => {
+    stateManager.set('calibration.tuning', { channel: stateManager.get('calibration.channel'), step: 0, readings: [] });
+    els.calMeasured.value = '';
+    els.calMeasured.focus();
+  });
+  els.calNextBtn.addEventListener('click', enterReading);
+  els.calMeasured.addEventListener('keydown', e => {
+    if (e.key === 'Enter') enterReading();
+    if (e.key === 'Escape') stateManager.set('calibration.tuning', null);
+  });
+  els.calCancelBtn.addEventListener('click', () => stateManager.set('calibration.tuning', null));
+}
+
+/**
+ * Records the meter reading for the reference voltage being sent, then moves
+ * on to the next one. After the last, the readings become the output's calibration.
+ */
+function enterReading() {
+  const tuning = stateManager.get('calibration.tuning');
+  const measured = parseFloat(els.calMeasured.value);
+  if (!tuning || isNaN(measured)) return;
+
+  const { REFERENCE_VOLTS } = CALIBRATION_CONSTANTS;
+  const readings = [...tuning.readings, { sent: REFERENCE_VOLTS[tuning.step], measured }];
+  els.calMeasured.value = '';
+  if (readings.length < REFERENCE_VOLTS.length) {
+    stateManager.set('calibration.tuning', { ...tuning, step: tuning.step + 1, readings });
+    return;
+  }
+
+  const calibration = fitCalibration(readings);
+  stateManager.set('calibration.tuning', null);
+  if (!calibration) {
+    updateStatus("Error: Readings don't rise with the reference voltage");
+    return;
+  }
+  stateManager.set(`calibration.outputs.${tuning.channel}`, calibration);
+  updateStatus(`Calibrated output ${tuning.channel + 1}`);
+}
+
+let tapTimes = [];
+
+// Taps set the tempo as soon as there are two; a pause starts over
+function tapTempo() {
+  const now = performance.now();
+  if (now - (tapTimes[tapTimes.length - 1] ?? -Infinity) > TEMPO_CONSTANTS.TAP_TIMEOUT_MS) tapTimes = [];
+  tapTimes = [...tapTimes, now].slice(-TEMPO_CONSTANTS.TAP_COUNT);
+
+  const bpm = bpmFromTaps(tapTimes);
+  if (bpm === null) return;
+  stateManager.beginTransaction();
+  stateManager.set('tempo.mode', TEMPO_MODES.BPM);
+  stateManager.set('tempo.bpm', bpm);
+  stateManager.endTransaction();
+}
+
+/**
+ * Changes the time signature or note value and, when a bar makes a whole
+ * number of steps, makes the cycle one bar long.
+ */
+function setMeter(changes) {
+  const tempo = { ...stateManager.get('tempo'), ...changes };
+  const steps = stepsPerBar(tempo);
+  stateManager.beginTransaction();
+  stateManager.set('tempo', tempo);
+  if (Number.isInteger(steps) && steps >= SEQUENCER_CONSTANTS.MIN_SUBDIVISIONS && steps <= SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS) {
+    stateManager.set('subdivisions', steps);
+    stateManager.set('gridSubdivisions', Math.min(stateManager.get('gridSubdivisions'), steps));
+  }
+  stateManager.endTransaction();
+}
+
+function setupTempoListeners() {
+  // Switching modes carries the current tempo across
+  els.tempoMode.addEventListener('change', e => {
+    const state = stateManager.getState();
+    const { MIN_CYCLE_TIME, MAX_CYCLE_TIME } = SEQUENCER_CONSTANTS;
+    stateManager.beginTransaction();
+    if (e.target.value === TEMPO_MODES.BPM) {
+      stateManager.set('tempo.bpm', bpmForCycle(state.tempo, state.cycleTime, state.subdivisions));
+    } else {
+      stateManager.set('cycleTime', Math.max(MIN_CYCLE_TIME, Math.min(MAX_CYCLE_TIME, Math.round(cycleSeconds(state) * 1000) / 1000)));
+    }
+    stateManager.set('tempo.mode', e.target.value);
+    stateManager.endTransaction();
+  });
+
+  els.bpm.addEventListener('change', e => {
+    const value = parseFloat(e.target.value);
+    if (!isNaN(value) && value >= TEMPO_CONSTANTS.MIN_BPM && value <= TEMPO_CONSTANTS.MAX_BPM) {
+      stateManager.set('tempo.bpm', value);
+    } else {
+      e.target.value = stateManager.get('tempo.bpm'); // Show the original value if input is invalid
+    }
+  });
+
+  els.timeSignature.addEventListener('change', e => {
+    const signature = parseTimeSignature(e.target.value);
+    if (signature) {
+      setMeter(signature);
+    } else {
+      const { beats, beatUnit } = stateManager.get('tempo');
+      e.target.value = `${beats}/${beatUnit}`;
+      updateStatus(`Error: Time signature must be beats/${TEMPO_CONSTANTS.BEAT_UNITS.join('|')}`);
+    }
+  });
+  els.noteValue.addEventListener('change', e => setMeter({ noteValue: e.target.value }));
+
+  els.tapBtn.addEventListener('click', tapTempo);
+
+  // Nudge is momentary, like fill
+  [[els.nudgeDown, -1], [els.nudgeUp, 1]].forEach(([button, direction]) => {
+    button.addEventListener('mousedown', () => setNudge(direction));
+    button.addEventListener('mouseup', () => setNudge(0));
+    button.addEventListener('mouseleave', () => setNudge(0));
+  });
+  globalThis.addEventListener('blur', () => setNudge(0));
+}
+
+function setupClockListeners() {
+  els.clockSource.addEventListener('change', e => stateManager.set('clock.source', e.target.value));
+  els.clockInput.addEventListener('change', e => stateManager.set('clock.input', parseInt(e.target.value)));
+  els.clockPpqn.addEventListener('change', e => stateManager.set('clock.ppqn', parseInt(e.target.value)));
+  els.clockReset.addEventListener('change', e => {
+    stateManager.set('clock.resetInput', e.target.value === '' ? null : parseInt(e.target.value));
+  });
+}
+
+function setupModulationListeners() {
+  els.modAddBtn.addEventListener('click', () => {
+    const routes = stateManager.get('modulation');
+    if (routes.length >= MOD_CONSTANTS.MAX_ROUTES) return;
+    // Each new route starts on the next input along
+    stateManager.set('modulation', [...routes, createModRoute(Math.min(routes.length, EXT_CLOCK_CONSTANTS.NUM_INPUTS - 1))]);
+  });
+
+  els.modRoutes.addEventListener('click', e => {
+    if (e.target.dataset.action !== 'remove') return;
+    const index = parseInt(e.target.dataset.route);
+    stateManager.set('modulation', stateManager.get('modulation').filter((_, i) => i !== index));
+  });
+
+  els.modRoutes.addEventListener('change', e => {
+    const { route: index, field } = e.target.dataset;
+    if (index === undefined) return;
+    const path = `modulation.${index}`;
+    const route = stateManager.get(path);
+
+    if (field === 'target') {
+      // Move the route to a channel the new target applies to, if it isn't on one
+      const target = e.target.value;
+      const modes = MOD_CONSTANTS.TARGET_MODES[target];
+      const channels = stateManager.get('channels');
+      const channel = modes.includes(channels[route.channel]?.mode) ? route.channel : channels.findIndex(c => modes.includes(c.mode));
+      stateManager.set(path, { ...route, target, channel: channel === -1 ? route.channel : channel });
+    } else if (field === 'amount') {
+      const value = parseFloat(e.target.value);
+      if (!isNaN(value) && value >= MOD_CONSTANTS.MIN_AMOUNT && value <= MOD_CONSTANTS.MAX_AMOUNT) {
+        stateManager.set(`${path}.amount`, value);
+      } else {
+        e.target.value = route.amount; // Show the original value if input is invalid
+      }
+    } else {
+      stateManager.set(`${path}.${field}`, parseInt(e.target.value));
+    }
+  });
+}
+
+function setupBankListeners() {
+  els.patternBank.addEventListener('click', e => {
+    const index = e.target.dataset.pattern;
+    if (index === undefined) return;
+    requestPatternChange(parseInt(index));
+  });
+
+  els.songToggle.addEventListener('click', () => {
+    setSongEnabled(!stateManager.get('song.enabled'));
+  });
+
+  els.songChain.addEventListener('change', e => {
+    const entries = parseSongChain(e.target.value);
+    if (!entries) {
+      updateStatus('Invalid song chain (e.g. 1x4 2 3x2)');
+      e.target.blur();
+      renderPatternBank();
+      return;
+    }
+    stateManager.set('song.entries', entries);
+  });
+
+  els.songLoop.addEventListener('change', e => {
+    stateManager.set('song.loop', e.target.checked);
+  });
 }
 
 export function setupEventListeners() {
@@ -95,6 +678,24 @@ export function setupEventListeners() {
   els.playBtn.addEventListener('click', togglePlayback);
   els.clearBtn.addEventListener('click', clearAll);
 
+  // Fill is momentary: it's on while the button (or F) is held
+  els.fillBtn.addEventListener('mousedown', () => setFill(true));
+  els.fillBtn.addEventListener('mouseup', () => setFill(false));
+  els.fillBtn.addEventListener('mouseleave', () => setFill(false));
+  globalThis.addEventListener('blur', () => setFill(false));
+
+  // Presets, pattern bank and song
+  setupPresetListeners();
+  setupBankListeners();
+  setupStepEditorListeners();
+  setupTempoListeners();
+  setupClockListeners();
+  setupModulationListeners();
+  setupMidiListeners();
+  setupRoutingListeners();
+  setupCalibrationListeners();
+  setupScopeListeners();
+
   // --- NEW: EVENT DELEGATION FOR ALL CHANNEL PARAMS ---
   els.multiChannelView.addEventListener('change', e => {
     const target = e.target;
@@ -112,10 +713,57 @@ export function setupEventListeners() {
       // Mode button clicked - cycle mode
       cycleChannelMode(channelIndex);
       return;
+    } else if (target.tagName === 'SELECT') {
+      if (!NUMERIC_SELECT_PARAMS.includes(param)) value = target.value;
+      else value = target.value === '' ? null : parseInt(target.value);
+    } else if (param === 'ratio') {
+      value = parseClockRatio(target.value);
+      if (!value) {
+        renderAll(); // Re-render to show the original value if input is invalid
+        return;
+      }
+    } else if (param === 'scaleMask') {
+      value = target.value.trim();
+      if (!isValidMask(value)) {
+        renderAll(); // Re-render to show the original value if input is invalid
+        return;
+      }
+    } else if (param === 'swing') {
+      // Blank follows the global swing
+      const { MIN_SWING, MAX_SWING } = TIMING_CONSTANTS;
+      value = target.value.trim() === '' ? null : parseInt(target.value);
+      if (value !== null && (isNaN(value) || value < MIN_SWING || value > MAX_SWING)) {
+        renderAll(); // Re-render to show the original value if input is invalid
+        return;
+      }
+    } else if (param === 'slideTime') {
+      // The limit depends on whether the time is in ms or steps
+      const isSteps = stateManager.get(`channels.${channelIndex}.slideUnit`) === GLIDE_UNITS.STEP;
+      value = parseFloat(target.value);
+      if (isNaN(value) || value < 0 || value > (isSteps ? GLIDE_CONSTANTS.MAX_STEPS : GLIDE_CONSTANTS.MAX_MS)) {
+        renderAll(); // Re-render to show the original value if input is invalid
+        return;
+      }
+    } else if (param in INT_PARAM_RANGES) {
+      const { min, max } = INT_PARAM_RANGES[param];
+      value = parseInt(target.value);
+      if (isNaN(value) || value < min || value > max) {
+        renderAll(); // Re-render to show the original value if input is invalid
+        return;
+      }
+    } else if (param in FLOAT_PARAM_RANGES) {
+      const { min, max } = FLOAT_PARAM_RANGES[param];
+      value = parseFloat(target.value);
+      if (isNaN(value) || value < min || value > max) {
+        renderAll(); // Re-render to show the original value if input is invalid
+        return;
+      }
     } else if (param === 'amplitude') {
-      // Special case for ramp amplitude - parse as float with validation
+      // Peak volts: LFO and velocity lanes keep to the outputs' ±10V, a ramp may go on to 12V
+      const mode = stateManager.get(`channels.${channelIndex}.mode`);
+      const max = mode === 'lfo' ? LFO_CONSTANTS.MAX_AMPLITUDE : mode === 'velocity' ? VELOCITY_CONSTANTS.MAX_AMPLITUDE : 12;
       value = parseFloat(target.value);
-      if (isNaN(value) || value <= 0 || value > 12) {
+      if (isNaN(value) || value <= 0 || value > max) {
         renderAll(); // Re-render to show the original value if input is invalid
         return;
       }
@@ -128,51 +776,52 @@ export function setupEventListeners() {
       }
     }
     
+    // Generator edits, and step count changes under a live generator, rewrite
+    // the pattern in the same undo step
+    const regenerates = param.startsWith('generator.') ||
+      (param === 'steps' && stateManager.get(`channels.${channelIndex}.generator.live`));
+    // Switching a glide to steps brings a time in ms down to a step, in the same undo step
+    const clampsGlide = param === 'slideUnit' && value === GLIDE_UNITS.STEP &&
+      stateManager.get(`channels.${channelIndex}.slideTime`) > GLIDE_CONSTANTS.MAX_STEPS;
+
     // Update the state using a dynamic path
+    // Rendering and the worklet sync follow from the state change
+    if (regenerates || clampsGlide) stateManager.beginTransaction();
     stateManager.set(`channels.${channelIndex}.${param}`, value);
+    if (regenerates) applyGenerator(channelIndex);
+    if (clampsGlide) stateManager.set(`channels.${channelIndex}.slideTime`, GLIDE_CONSTANTS.MAX_STEPS);
+    if (regenerates || clampsGlide) stateManager.endTransaction();
 
-    // Sync the new state with the audio worklet
-    sendStateToWorklet();
-    
-    // Re-render the entire UI to reflect any changes (e.g., ghosting steps)
-    renderAll();
+    // Choosing the Scala scale without a tuning loaded goes straight to the file picker
+    if (param === 'scale' && value === SCALE_TYPES.SCALA && !stateManager.get(`channels.${channelIndex}.scala`)) {
+      loadScalaFile(channelIndex);
+    }
   });
 
   // Handle mode button clicks
   els.multiChannelView.addEventListener('click', e => {
-    if (e.target.classList.contains('mode-btn')) {
+    if (e.target.classList.contains('scala-btn')) {
+      loadScalaFile(parseInt(e.target.dataset.channel));
+    } else if (e.target.classList.contains('gen-btn')) {
+      applyGenerator(parseInt(e.target.dataset.channel));
+    } else if (e.target.classList.contains('mode-btn')) {
       const channel = parseInt(e.target.dataset.channel);
       cycleChannelMode(channel);
     }
   });
 
-  // --- UTILITY CHANNEL CONTROLS IN TRANSPORT ---
-  if (els.clockDuration) {
-    els.clockDuration.addEventListener('change', (e) => {
-      const value = parseInt(e.target.value);
-      if (!isNaN(value) && value > 0) {
-        stateManager.set('channels.7.duration', value);
-        sendStateToWorklet();
-        renderAll();
-      }
-    });
-  }
-
-  if (els.rampPolarity) {
-    els.rampPolarity.addEventListener('change', (e) => {
-      const value = e.target.value === '-ve';
-      stateManager.set('channels.6.polarity', value);
-      sendStateToWorklet();
-      renderAll();
-    });
-  }
-  
   // Global params
   els.cycleTime.addEventListener('change', (e) => {
     const value = parseFloat(e.target.value);
     if (!isNaN(value) && value >= 0.5 && value <= 8) {
       stateManager.set('cycleTime', value);
-      sendStateToWorklet();
+    }
+  });
+  
+  els.swing.addEventListener('change', (e) => {
+    const value = parseInt(e.target.value);
+    if (!isNaN(value) && value >= TIMING_CONSTANTS.MIN_SWING && value <= TIMING_CONSTANTS.MAX_SWING) {
+      stateManager.set('swing', value);
     }
   });
   
@@ -182,9 +831,6 @@ export function setupEventListeners() {
       stateManager.set('subdivisions', value);
       const currentGrid = stateManager.get('gridSubdivisions');
       stateManager.set('gridSubdivisions', Math.min(currentGrid, value));
-      els.gridDisplay.textContent = stateManager.get('gridSubdivisions');
-      renderMultiChannelView();
-      sendStateToWorklet();
     }
   });
   
@@ -194,40 +840,66 @@ export function setupEventListeners() {
     const maxSubdivisions = stateManager.get('subdivisions');
     const newGrid = Math.min(currentGrid * 2, maxSubdivisions, 96);
     stateManager.set('gridSubdivisions', newGrid);
-    els.gridDisplay.textContent = newGrid;
-    renderMultiChannelView();
   });
   
   els.zoomOut.addEventListener('click', () => {
     const currentGrid = stateManager.get('gridSubdivisions');
     const newGrid = Math.max(Math.floor(currentGrid / 2), 8);
     stateManager.set('gridSubdivisions', newGrid);
-    els.gridDisplay.textContent = newGrid;
-    renderMultiChannelView();
   });
 
   // --- GRID INTERACTION LOGIC ---
   
   els.multiChannelView.addEventListener('mousedown', e => {
     const target = e.target;
-    if (!target.classList.contains('pattern-step')) return;
+    if (e.button !== 0 || !target.classList.contains('pattern-step')) return;
 
     // IMPORTANT: If the target is a pitch cell, do nothing.
     // Allow the browser's default behavior to focus the input.
     if (target.classList.contains('pitch-cell')) {
+      // ...except Alt-click, which toggles the step's slide flag
+      if (e.altKey) {
+        e.preventDefault();
+        toggleSlide(parseInt(target.dataset.channel), parseInt(target.dataset.step));
+      }
       return; 
     }
 
+    const { channel, step } = target.dataset;
+    const state = stateManager.getState();
+    const mode = getChannelMode(state.channels[channel]);
+
+    if (e.shiftKey && mode === 'trigger') {
+      e.preventDefault();
+      startNudge(e, target);
+      return;
+    }
+
+    // Alt-click ties a trigger step into the next one
+    if (e.altKey && mode === 'trigger') {
+      e.preventDefault();
+      toggleTie(parseInt(channel), parseInt(step));
+      return;
+    }
+
+    // Velocity lanes are drawn into, setting the velocities of the trigger channel above
+    if (mode === 'velocity') {
+      e.preventDefault();
+      isDrawingVelocity = true;
+      stateManager.beginTransaction();
+      document.body.classList.add('dragging');
+      drawVelocity(e, target);
+      return;
+    }
+
     // For all other steps (e.g., trigger), start the drag-to-toggle logic.
+    // The whole drag gesture is a single undo step.
     e.preventDefault();
     isDragging = true;
+    stateManager.beginTransaction();
     document.body.classList.add('dragging');
 
-    const { channel, step } = target.dataset;
-    const state = stateManager.getState();
-    const mode = getChannelMode(state.channels[channel]);
-
-    if (mode === 'trigger') {
+    if (mode === 'trigger' || mode === 'sh') {
       const currentVal = state.pattern[channel][step];
       dragValue = !currentVal;
       toggleStep(parseInt(channel), parseInt(step), dragValue);
@@ -235,19 +907,31 @@ export function setupEventListeners() {
   });
 
   document.addEventListener('mousemove', e => {
+    if (nudge) {
+      updateNudge(e);
+      return;
+    }
+    if (isDrawingVelocity) {
+      if (e.target.classList.contains('velocity-step')) drawVelocity(e, e.target);
+      return;
+    }
     if (!isDragging || !e.target.classList.contains('pattern-step')) return;
     const { channel, step } = e.target.dataset;
     toggleStep(parseInt(channel), parseInt(step), dragValue);
   });
 
   document.addEventListener('mouseup', () => {
+    if (nudge) endNudge();
+    if (isDragging || isDrawingVelocity) stateManager.endTransaction();
     isDragging = false;
+    isDrawingVelocity = false;
     document.body.classList.remove('dragging');
   });
 
   // --- PITCH CELL EVENT DELEGATION ---
   
-  els.multiChannelView.addEventListener('input', e => {
+  // Set on change rather than per keystroke, so each cell edit is one undo step
+  els.multiChannelView.addEventListener('change', e => {
     if (!e.target.classList.contains('pitch-cell')) return;
     const { step, channel } = e.target.dataset;
     const value = e.target.value.trim();
@@ -255,7 +939,6 @@ export function setupEventListeners() {
     
     if (value === '' || !isNaN(pitch)) {
       stateManager.set(`channels.${channel}.pitches.${step}`, pitch);
-      sendStateToWorklet();
     }
   });
 
@@ -291,8 +974,8 @@ export function setupEventListeners() {
         const state = stateManager.getState();
         targetStep = Math.min(state.gridSubdivisions - 1, currentStep + 1);
       } else if (e.key === 'ArrowUp') {
-        // Move to pitch channel above (only even numbered channels: 2, 4, 6)
-        for (let ch = currentChannel - 2; ch >= 0; ch -= 2) {
+        // Move to the nearest pitch channel above
+        for (let ch = currentChannel - 1; ch >= 0; ch--) {
           const state = stateManager.getState();
           if (state.channels[ch]?.mode === 'pitch') {
             targetChannel = ch;
@@ -300,8 +983,8 @@ export function setupEventListeners() {
           }
         }
       } else if (e.key === 'ArrowDown') {
-        // Move to pitch channel below (only even numbered channels: 2, 4, 6)
-        for (let ch = currentChannel + 2; ch < 6; ch += 2) {
+        // Move to the nearest pitch channel below
+        for (let ch = currentChannel + 1; ch < stateManager.get('outputCount'); ch++) {
           const state = stateManager.getState();
           if (state.channels[ch]?.mode === 'pitch') {
             targetChannel = ch;
@@ -327,8 +1010,22 @@ export function setupEventListeners() {
   // --- GLOBAL KEYBOARD SHORTCUTS ---
   
   document.addEventListener('keydown', (e) => {
+    // Escape closes the step editor before doing anything else
+    if (e.key === 'Escape' && closeStepEditor()) return;
+
     // Skip shortcuts if user is typing in inputs
     if (e.target.tagName === 'INPUT' || e.target.isContentEditable) return;
+
+    // Ctrl/Cmd+Z - Undo, Ctrl/Cmd+Shift+Z or Ctrl+Y - Redo
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y')) {
+      e.preventDefault();
+      if (e.key === 'y' || e.shiftKey) {
+        redo();
+      } else {
+        undo();
+      }
+      return;
+    }
     
     switch(e.key) {
       case ' ': // Spacebar - Play/Stop
@@ -343,6 +1040,23 @@ export function setupEventListeners() {
         }
         break;
         
+      case 'f': // F (held) - Fill
+      case 'F':
+        if (!e.ctrlKey && !e.metaKey) setFill(true);
+        break;
+
+      case 't': // T - Tap tempo
+      case 'T':
+        if (!e.ctrlKey && !e.metaKey && !e.repeat) tapTempo();
+        break;
+
+      case ',': // , and . (held) - Nudge slower and faster
+        setNudge(-1);
+        break;
+      case '.':
+        setNudge(1);
+        break;
+
       case 'Escape': // Escape - Clear All
         e.preventDefault();
         clearAll();
@@ -354,15 +1068,18 @@ export function setupEventListeners() {
         const focusedElement = document.activeElement;
         if (focusedElement && focusedElement.classList.contains('pitch-cell')) {
           const channelIndex = parseInt(focusedElement.dataset.channel);
-          if (channelIndex >= 0 && channelIndex < 6) {
+          if (channelIndex >= 0) {
             const currentMuteState = stateManager.get(`channels.${channelIndex}.isMuted`);
             stateManager.set(`channels.${channelIndex}.isMuted`, !currentMuteState);
-            sendStateToWorklet();
-            renderAll();
             updateStatus(`Channel ${channelIndex + 1} ${!currentMuteState ? 'muted' : 'unmuted'}`);
           }
         }
         break;
     }
   });
-}
\ No newline at end of file
+
+  document.addEventListener('keyup', (e) => {
+    if (e.key === 'f' || e.key === 'F') setFill(false);
+    if (e.key === ',' || e.key === '.') setNudge(0);
+  });
+}
@@ -0,0 +1,99 @@
+import { GENERATOR_TYPES, GRIDS_PARTS } from "./constants.js";
+import { createRng } from "./random.js";
+
+/**
+ * Rhythm generators for trigger channels. Each one turns a channel's
+ * generator settings into the hits of a pattern of a given length.
+ */
+
+/**
+ * Spreads hits as evenly as possible over the steps (Bjorklund's algorithm,
+ * in its Bresenham form), starting with a hit on step 0.
+ * @param {number} hits - Number of hits
+ * @param {number} steps - Pattern length
+ * @param {number} rotation - Steps to move every hit later by
+ * @returns {boolean[]}
+ */
+export function euclidean(hits, steps, rotation = 0) {
+  const count = Math.max(0, Math.min(hits, steps));
+  const pattern = Array(steps).fill(false);
+  for (let i = 0; i < steps; i++) {
+    if ((i * count) % steps < count) {
+      pattern[(((i + rotation) % steps) + steps) % steps] = true;
+    }
+  }
+  return pattern;
+}
+
+/**
+ * Hits each step with a fixed chance; the same seed gives the same pattern.
+ * @param {number} density - Chance of a hit, in percent
+ * @param {number} steps - Pattern length
+ * @param {number} seed - Integer seed
+ * @returns {boolean[]}
+ */
+export function randomDensity(density, steps, seed) {
+  const rng = createRng(seed);
+  return Array.from({ length: steps }, () => rng() * 100 < density);
+}
+
+// Grids-style drum maps: 16-step levels (0-255) for each part at the four
+// corners of the map. x runs from straight to broken beats, y from sparse to busy.
+const GRIDS_NODES = {
+  [GRIDS_PARTS.KICK]: [
+    [[255, 0, 0, 0, 40, 0, 0, 0, 200, 0, 0, 0, 40, 0, 0, 0], [255, 0, 80, 0, 200, 0, 80, 0, 255, 0, 80, 0, 200, 0, 120, 60]],
+    [[255, 0, 0, 120, 0, 0, 180, 0, 0, 60, 0, 0, 160, 0, 0, 0], [255, 60, 0, 180, 80, 0, 200, 60, 40, 180, 0, 80, 200, 0, 120, 100]],
+  ],
+  [GRIDS_PARTS.SNARE]: [
+    [[0, 0, 0, 0, 255, 0, 0, 0, 0, 0, 0, 0, 255, 0, 0, 30], [0, 40, 0, 40, 255, 40, 0, 80, 0, 40, 0, 40, 255, 60, 120, 160]],
+    [[0, 0, 0, 0, 255, 0, 0, 60, 0, 0, 40, 0, 255, 0, 0, 0], [60, 0, 120, 0, 255, 80, 40, 160, 0, 120, 60, 0, 255, 80, 160, 200]],
+  ],
+  [GRIDS_PARTS.HAT]: [
+    [[200, 0, 120, 0, 200, 0, 120, 0, 200, 0, 120, 0, 200, 0, 120, 0], [255, 120, 200, 120, 255, 120, 200, 120, 255, 120, 200, 120, 255, 120, 200, 160]],
+    [[160, 0, 200, 0, 0, 140, 200, 0, 160, 0, 200, 60, 0, 140, 200, 0], [220, 160, 255, 100, 120, 220, 255, 140, 220, 160, 255, 100, 120, 220, 255, 200]],
+  ],
+};
+
+const GRIDS_MAP_STEPS = 16;
+
+/**
+ * Reads one part from the drum map at a point between its corners. A step
+ * hits when its level clears the threshold set by the density.
+ * @param {string} part - One of GRIDS_PARTS
+ * @param {number} x - Straight (0) to broken (100)
+ * @param {number} y - Sparse (0) to busy (100)
+ * @param {number} density - Percent; higher lets quieter steps through
+ * @param {number} steps - Pattern length; the 16-step map is stretched to fit
+ * @returns {boolean[]}
+ */
+export function gridsPattern(part, x, y, density, steps) {
+  const [[a, b], [c, d]] = GRIDS_NODES[part] ?? GRIDS_NODES[GRIDS_PARTS.KICK];
+  const fx = x / 100;
+  const fy = y / 100;
+  const threshold = 255 * (1 - density / 100);
+
+  return Array.from({ length: steps }, (_, i) => {
+    const s = Math.floor((i * GRIDS_MAP_STEPS) / steps);
+    const level = (a[s] * (1 - fy) + b[s] * fy) * (1 - fx) + (c[s] * (1 - fy) + d[s] * fy) * fx;
+    return level > 0 && level >= threshold;
+  });
+}
+
+/**
+ * Runs a channel's generator.
+ * @param {Object} generator - The channel's generator settings
+ * @param {number} steps - Pattern length
+ * @returns {boolean[]|null} Hits for steps 0 to steps-1, or null when the generator is off
+ */
+export function generatePattern(generator, steps) {
+  switch (generator?.type) {
+    case GENERATOR_TYPES.EUCLIDEAN:
+      return euclidean(generator.hits, steps, generator.rotation);
+    case GENERATOR_TYPES.RANDOM:
+      return randomDensity(generator.density, steps, generator.seed);
+    case GENERATOR_TYPES.GRIDS:
+      return gridsPattern(generator.part, generator.x, generator.y, generator.density, steps);
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,51 @@
+import { LFO_WAVEFORMS, LFO_RANGES } from "./constants.js";
+
+/**
+ * Shared LFO waveform math, used by both the audio worklet and the UI preview.
+ */
+
+/**
+ * Returns the raw waveform value for a phase.
+ * @param {number} phase - Phase in the range [0, 1)
+ * @param {string} waveform - One of LFO_WAVEFORMS
+ * @returns {number} Value in the range [-1, 1]
+ */
+export function lfoWaveValue(phase, waveform) {
+  switch (waveform) {
+    case LFO_WAVEFORMS.TRIANGLE:
+      if (phase < 0.25) return phase * 4;
+      if (phase < 0.75) return 2 - phase * 4;
+      return phase * 4 - 4;
+    case LFO_WAVEFORMS.SQUARE:
+      return phase < 0.5 ? 1 : -1;
+    case LFO_WAVEFORMS.RAMP:
+      return phase * 2 - 1;
+    case LFO_WAVEFORMS.SINE:
+    default:
+      return Math.sin(phase * 2 * Math.PI);
+  }
+}
+
+/**
+ * Returns the LFO output in the worklet's audio range (1.0 = +10V).
+ * @param {number} phase - Phase in the range [0, 1)
+ * @param {Object} channel - LFO channel config (waveform, range, amplitude)
+ * @returns {number} Output value
+ */
+export function lfoOutput(phase, channel) {
+  const value = lfoWaveValue(phase, channel.waveform);
+  const normalizedAmplitude = (channel.amplitude ?? 0) / 10.0; // Scale volts to audio range
+  if (channel.range === LFO_RANGES.UNIPOLAR) {
+    return (value + 1) * 0.5 * normalizedAmplitude;
+  }
+  return value * normalizedAmplitude;
+}
+
+/**
+ * Wraps a phase value into [0, 1).
+ * @param {number} phase
+ * @returns {number}
+ */
+export function wrapPhase(phase) {
+  return phase - Math.floor(phase);
+}
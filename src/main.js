@@ -1,5 +1,6 @@
-import { initUI, renderAll } from "./ui.js";
+import { initUI, renderAll, setupRenderSubscriptions } from "./ui.js";
 import { setupEventListeners } from "./events.js";
+import { loadCalibration } from "./calibrationProfiles.js";
 
 /**
  * Main application entry point.
@@ -7,9 +8,15 @@ import { setupEventListeners } from "./events.js";
 function main() {
   // Initialize UI components first
   initUI();
+
+  // Re-render whenever state changes from here on
+  setupRenderSubscriptions();
   
   // Setup all user event listeners
   setupEventListeners();
+
+  // Output calibration belongs to this machine, so it's loaded from local storage
+  loadCalibration();
   
   // Perform the initial render of the application
   renderAll();
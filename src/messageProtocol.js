@@ -0,0 +1,165 @@
+import { MESSAGE_TYPES, CHANNEL_MODES, SEQUENCER_CONSTANTS, PITCH_CONSTANTS, TIMING_CONSTANTS, CLOCK_SOURCES, MIDI_CONSTANTS, EXT_CLOCK_CONSTANTS, MOD_TARGETS, MOD_CONSTANTS, TEMPO_MODES, TEMPO_CONSTANTS, NOTE_VALUES, CALIBRATION_CONSTANTS, BANK_CONSTANTS } from "./constants.js";
+
+/**
+ * Typed messages between the UI and the sequencer worklet.
+ * The UI sends small patches (one step, one pitch, one param) instead of the
+ * whole state; both sides validate against the same schemas.
+ * Safe to import from the audio worklet.
+ */
+
+const { MAX_CHANNELS, MAX_SUBDIVISIONS, MIN_SUBDIVISIONS, MIN_CYCLE_TIME, MAX_CYCLE_TIME } = SEQUENCER_CONSTANTS;
+
+const MODES = Object.values(CHANNEL_MODES);
+const SOURCES = Object.values(CLOCK_SOURCES);
+const TARGETS = Object.values(MOD_TARGETS);
+
+// Mode changes replace the whole channel config, so they need setChannelMode
+const RESERVED_PARAMS = ['mode'];
+
+// --- Field validators ---
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isInRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+const isChannel = value => Number.isInteger(value) && isInRange(value, 0, MAX_CHANNELS - 1);
+const isStep = value => Number.isInteger(value) && isInRange(value, 0, MAX_SUBDIVISIONS - 1);
+const isPitch = value => value === null || isInRange(value, PITCH_CONSTANTS.MIN_SEMITONES, PITCH_CONSTANTS.MAX_SEMITONES);
+const isInput = value => Number.isInteger(value) && isInRange(value, 0, EXT_CLOCK_CONSTANTS.NUM_INPUTS - 1);
+const isOptional = validator => value => value === undefined || validator(value);
+const isTempo = tempo => isObject(tempo) && Object.values(TEMPO_MODES).includes(tempo.mode) &&
+  isInRange(tempo.bpm, TEMPO_CONSTANTS.MIN_BPM, TEMPO_CONSTANTS.MAX_BPM) &&
+  Number.isInteger(tempo.beats) && isInRange(tempo.beats, 1, TEMPO_CONSTANTS.MAX_BEATS) &&
+  TEMPO_CONSTANTS.BEAT_UNITS.includes(tempo.beatUnit) && tempo.noteValue in NOTE_VALUES;
+const isCalibration = cal => isObject(cal) &&
+  isInRange(cal.offset, CALIBRATION_CONSTANTS.MIN_OFFSET, CALIBRATION_CONSTANTS.MAX_OFFSET) &&
+  isInRange(cal.scale, CALIBRATION_CONSTANTS.MIN_SCALE, CALIBRATION_CONSTANTS.MAX_SCALE) &&
+  (cal.points === null || (Array.isArray(cal.points) && cal.points.every(p => isObject(p) && isFinite(p.volts) && isFinite(p.output))));
+/**
+ * Whether a modulation route is one SET_MODULATION accepts, e.g. for checking
+ * routes read from a preset file.
+ * @param {*} route
+ * @returns {boolean}
+ */
+export const isModRoute = route => isObject(route) && isInput(route.input) && TARGETS.includes(route.target) &&
+  isChannel(route.channel) && isInRange(route.amount, MOD_CONSTANTS.MIN_AMOUNT, MOD_CONSTANTS.MAX_AMOUNT);
+
+/**
+ * Whether a routing entry is a track SET_ROUTING accepts, or null for an unused output.
+ * @param {*} track
+ * @returns {boolean}
+ */
+export const isRoutedTrack = track => track === null || isChannel(track);
+
+/**
+ * Payload schemas: each field maps to a validator. Fields not listed are ignored.
+ */
+const SCHEMAS = {
+  [MESSAGE_TYPES.START]: {
+    state: isObject,
+    position: isOptional(value => Number.isInteger(value) && value >= 0), // In steps, for MIDI continue
+  },
+  [MESSAGE_TYPES.STOP]: {},
+  [MESSAGE_TYPES.QUEUE_PATTERN]: {
+    index: isOptional(Number.isInteger),
+    slot: isOptional(isObject),
+    endOfSong: isOptional(value => value === true),
+    songLoop: isOptional(value => typeof value === 'boolean'), // The pattern starts the song over
+  },
+  [MESSAGE_TYPES.SET_CURRENT_PATTERN]: { index: value => Number.isInteger(value) && isInRange(value, 0, BANK_CONSTANTS.NUM_PATTERNS - 1) },
+  [MESSAGE_TYPES.SET_STATE]: { state: isObject },
+  [MESSAGE_TYPES.SET_CYCLE_TIME]: { value: value => isInRange(value, MIN_CYCLE_TIME, MAX_CYCLE_TIME) },
+  [MESSAGE_TYPES.SET_SUBDIVISIONS]: { value: value => Number.isInteger(value) && isInRange(value, MIN_SUBDIVISIONS, MAX_SUBDIVISIONS) },
+  [MESSAGE_TYPES.SET_SWING]: { value: value => isInRange(value, TIMING_CONSTANTS.MIN_SWING, TIMING_CONSTANTS.MAX_SWING) },
+  [MESSAGE_TYPES.SET_FILL]: { active: value => typeof value === 'boolean' },
+  [MESSAGE_TYPES.SET_TEMPO]: { tempo: isTempo },
+  [MESSAGE_TYPES.SET_NUDGE]: { value: value => isInRange(value, -TEMPO_CONSTANTS.NUDGE, TEMPO_CONSTANTS.NUDGE) },
+  [MESSAGE_TYPES.SET_CLOCK]: {
+    source: value => SOURCES.includes(value),
+    sendTicks: value => typeof value === 'boolean',
+    input: isOptional(isInput),
+    ppqn: isOptional(value => EXT_CLOCK_CONSTANTS.PPQN_OPTIONS.includes(value)),
+    resetInput: isOptional(value => value === null || isInput(value)),
+  },
+  [MESSAGE_TYPES.SET_MODULATION]: {
+    routes: value => Array.isArray(value) && value.length <= MOD_CONSTANTS.MAX_ROUTES && value.every(isModRoute),
+  },
+  [MESSAGE_TYPES.SET_LIVE_CHANNEL]: { channel: value => value === null || isChannel(value) },
+  [MESSAGE_TYPES.LIVE_NOTE]: {
+    pitch: isPitch, // Null lets go of the gate
+    velocity: value => Number.isInteger(value) && isInRange(value, 0, MIDI_CONSTANTS.MAX_VALUE),
+  },
+  [MESSAGE_TYPES.SET_CC]: {
+    channel: isChannel,
+    value: value => Number.isInteger(value) && isInRange(value, 0, MIDI_CONSTANTS.MAX_VALUE),
+  },
+  [MESSAGE_TYPES.SET_CALIBRATION]: {
+    outputs: value => Array.isArray(value) && value.length === MAX_CHANNELS && value.every(isCalibration),
+    reference: value => value === null || (isObject(value) && isChannel(value.channel) && isInRange(value.volts, -10, 10)),
+  },
+  [MESSAGE_TYPES.SET_ROUTING]: {
+    routing: value => Array.isArray(value) && value.length === MAX_CHANNELS && value.every(isRoutedTrack),
+  },
+  [MESSAGE_TYPES.SET_SCOPE]: { enabled: value => typeof value === 'boolean' },
+  [MESSAGE_TYPES.CLOCK_TICK]: { period: value => isInRange(value, Number.MIN_VALUE, MIDI_CONSTANTS.MAX_TICK_INTERVAL_MS) },
+  [MESSAGE_TYPES.SET_CHANNEL_MODE]: { channel: isChannel, config: value => isObject(value) && MODES.includes(value.mode) },
+  [MESSAGE_TYPES.SET_CHANNEL_PARAM]: {
+    channel: isChannel,
+    param: value => typeof value === 'string' && !RESERVED_PARAMS.includes(value),
+    value: value => value !== undefined,
+  },
+  [MESSAGE_TYPES.UPDATE_PATTERN]: { channel: isChannel, step: isStep, active: value => typeof value === 'boolean' },
+  [MESSAGE_TYPES.SET_CHANNEL_PATTERN]: {
+    channel: isChannel,
+    pattern: value => Array.isArray(value) && value.length <= MAX_SUBDIVISIONS,
+  },
+  [MESSAGE_TYPES.UPDATE_PITCH]: { channel: isChannel, step: isStep, pitch: isPitch },
+  [MESSAGE_TYPES.BATCH]: { messages: Array.isArray },
+};
+
+/**
+ * Checks a message against its schema. Batches are checked message by message
+ * and may not be nested.
+ * @param {Object} message - Message with a `type` field
+ * @returns {string|null} Description of the first problem, or null if valid
+ */
+export function validateMessage(message) {
+  if (!isObject(message)) return 'Message must be an object';
+
+  const schema = SCHEMAS[message.type];
+  if (!schema) return `Unknown message type "${message.type}"`;
+
+  for (const [field, isValid] of Object.entries(schema)) {
+    if (!isValid(message[field])) return `Invalid "${field}" in ${message.type} message`;
+  }
+
+  if (message.type === MESSAGE_TYPES.BATCH) {
+    for (const inner of message.messages) {
+      if (inner?.type === MESSAGE_TYPES.BATCH) return 'Batch messages cannot be nested';
+      const error = validateMessage(inner);
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds and validates a message.
+ * @param {string} type - One of MESSAGE_TYPES
+ * @param {Object} payload - Message fields
+ * @returns {{success: boolean, message?: Object, error?: string}}
+ */
+export function createMessage(type, payload = {}) {
+  const message = { type, ...payload };
+  const error = validateMessage(message);
+  return error ? { success: false, error } : { success: true, message };
+}
+
+/**
+ * Wraps several messages so the worklet applies them together.
+ * A single message is returned as is.
+ * @param {Object[]} messages - Already validated messages
+ * @returns {{success: boolean, message?: Object, error?: string}}
+ */
+export function createBatch(messages) {
+  if (messages.length === 1) return { success: true, message: messages[0] };
+  return createMessage(MESSAGE_TYPES.BATCH, { messages });
+}
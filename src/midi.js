@@ -0,0 +1,255 @@
+import { stateManager } from "./StateManager.js";
+import { els, renderMidiPorts, updateStatus } from "./ui.js";
+import { CLOCK_SOURCES, MIDI_CONSTANTS, MIDI_NOTE_MODES, PITCH_CONSTANTS } from "./constants.js";
+import { ticksPerStep } from "./tempo.js";
+
+/**
+ * MIDI clock sync and note input over Web MIDI.
+ *
+ * With the clock source set to MIDI, incoming clock sets the tempo and
+ * start/stop/continue drive the transport. Outgoing clock follows the ticks
+ * the worklet reports, timestamped so they leave with the ES-8's audio.
+ * Notes play a pitch channel live or are step-recorded into it, and
+ * controllers drive CC channels.
+ * Port choices belong to this machine, so they're kept here rather than in the state.
+ */
+
+const { CLOCK, START, CONTINUE, STOP, SONG_POSITION, PPQN, NOTE_ON, NOTE_OFF, CONTROL_CHANGE } = MIDI_CONSTANTS;
+
+let midiAccess = null;
+let input = null;
+let output = null;
+let transport = {}; // { onStart(position), onStop(), onTick(period), onNote(pitch, velocity), onCc(cc, value) } from the audio side
+
+// Incoming clock
+let tickPeriod = null; // Smoothed ms per tick
+let lastTickTime = null;
+let songPositionTicks = 0; // Where a continue picks up from
+let isRunning = false;
+
+// Notes held down in live mode, most recent last
+let heldNotes = [];
+
+/**
+ * Asks for MIDI access and lists the ports.
+ * @param {Object} handlers - Callbacks: onStart(position), onStop(), onTick(period),
+ *   onNote(pitch, velocity) for the live channel (null pitch closes the gate) and onCc(cc, value)
+ */
+export async function initMidi(handlers) {
+  if (midiAccess) return;
+  if (!navigator.requestMIDIAccess) {
+    updateStatus('Error: Web MIDI is not supported in this browser');
+    return;
+  }
+
+  try {
+    midiAccess = await navigator.requestMIDIAccess();
+    transport = handlers;
+    midiAccess.onstatechange = refreshPorts;
+    refreshPorts();
+    els.midiBtn.classList.add('active');
+    updateStatus('MIDI ready');
+  } catch (error) {
+    console.error("Failed to access MIDI:", error);
+    updateStatus(`Error: ${error.message}`);
+  }
+}
+
+// Lists the connected ports, dropping a selected port that has gone away
+function refreshPorts() {
+  if (input && input.state !== 'connected') selectMidiInput('');
+  if (output && output.state !== 'connected') selectMidiOutput('');
+  renderMidiPorts([...midiAccess.inputs.values()], [...midiAccess.outputs.values()], input?.id, output?.id);
+}
+
+/**
+ * Listens to a MIDI input. An empty id disconnects.
+ * @param {string} id - Port id
+ */
+export function selectMidiInput(id) {
+  if (input) input.onmidimessage = null;
+  releaseNotes();
+  input = midiAccess?.inputs.get(id) ?? null;
+  if (input) input.onmidimessage = handleMidiMessage;
+  tickPeriod = null;
+  lastTickTime = null;
+  renderTempo();
+}
+
+/**
+ * Sends clock to a MIDI output. An empty id disconnects.
+ * @param {string} id - Port id
+ */
+export function selectMidiOutput(id) {
+  output = midiAccess?.outputs.get(id) ?? null;
+}
+
+function handleMidiMessage(event) {
+  const [status, lsb, msb] = event.data;
+  if (status < 0xF0) {
+    handleChannelMessage(status, lsb, msb);
+    return;
+  }
+  const isFollowing = stateManager.get('clock.source') === CLOCK_SOURCES.MIDI;
+
+  switch (status) {
+    case CLOCK:
+      measureTick(event.timeStamp);
+      if (isRunning) songPositionTicks++;
+      if (isFollowing && tickPeriod) transport.onTick?.(tickPeriod);
+      break;
+    case START:
+      songPositionTicks = 0;
+      isRunning = true;
+      if (isFollowing) transport.onStart?.(0);
+      break;
+    case CONTINUE:
+      isRunning = true;
+      if (isFollowing) transport.onStart?.(Math.floor(songPositionTicks / ticksPerStep(stateManager.get('tempo'))));
+      break;
+    case STOP:
+      isRunning = false;
+      if (isFollowing) transport.onStop?.();
+      break;
+    case SONG_POSITION:
+      // Song position counts sixteenths, whatever note value our steps are
+      songPositionTicks = (lsb | (msb << 7)) * PPQN / 4;
+      break;
+  }
+}
+
+// Notes and controllers, filtered by MIDI channel
+function handleChannelMessage(status, data1, data2) {
+  const { mode, midiChannel } = stateManager.get('midiNotes');
+  if (midiChannel !== null && (status & 0x0F) !== midiChannel) return;
+
+  const type = status & 0xF0;
+  if (type === CONTROL_CHANGE) {
+    transport.onCc?.(data1, data2);
+    return;
+  }
+  // Note on at velocity 0 is a note off
+  const isNoteOn = type === NOTE_ON && data2 > 0;
+  if (type !== NOTE_ON && type !== NOTE_OFF) return;
+
+  if (mode === MIDI_NOTE_MODES.LIVE) {
+    playNote(data1, isNoteOn ? data2 : 0);
+  } else if (mode === MIDI_NOTE_MODES.RECORD && isNoteOn) {
+    recordNote(data1, data2);
+  }
+}
+
+// The most recent held note sounds; letting it go falls back to the one before
+function playNote(note, velocity) {
+  heldNotes = heldNotes.filter(held => held !== note);
+  if (velocity > 0) heldNotes.push(note);
+  const current = heldNotes[heldNotes.length - 1];
+  transport.onNote?.(current === undefined ? null : noteToPitch(current), velocity);
+}
+
+/**
+ * Closes the live gate and forgets held notes, e.g. when the note mode
+ * changes with keys still down.
+ */
+export function releaseNotes() {
+  if (heldNotes.length === 0) return;
+  heldNotes = [];
+  transport.onNote?.(null, 0);
+}
+
+function noteToPitch(note) {
+  const pitch = note - MIDI_CONSTANTS.ZERO_VOLT_NOTE;
+  return Math.max(PITCH_CONSTANTS.MIN_SEMITONES, Math.min(PITCH_CONSTANTS.MAX_SEMITONES, pitch));
+}
+
+// Steps the recording cursor through, wrapping with the pitch channel's pattern
+function recordLength(state, ch) {
+  const channel = state.channels[ch];
+  const parent = state.channels[ch - 1];
+  if (channel.isCoupled && parent?.mode === 'trigger') return parent.steps || state.subdivisions;
+  return channel.steps || state.subdivisions;
+}
+
+/**
+ * Writes a note into the pitch channel at the cursor and moves the cursor on.
+ * A trigger channel above gets a hit there, with the note's velocity.
+ */
+function recordNote(note, velocity) {
+  const state = stateManager.getState();
+  const { channel: ch, cursor } = state.midiNotes;
+  if (state.channels[ch]?.mode !== 'pitch') return;
+  const trigger = state.channels[ch - 1]?.mode === 'trigger' ? ch - 1 : null;
+
+  // One undo step per note
+  stateManager.beginTransaction();
+  stateManager.set(`channels.${ch}.pitches.${cursor}`, noteToPitch(note));
+  if (trigger !== null) {
+    stateManager.set(`pattern.${trigger}.${cursor}`, true);
+    if (state.channels[trigger].velocities) {
+      stateManager.set(`channels.${trigger}.velocities.${cursor}`, Math.round(velocity / MIDI_CONSTANTS.MAX_VALUE * 100));
+    }
+  }
+  stateManager.endTransaction();
+  advanceCursor(state, ch, cursor);
+}
+
+/**
+ * Records a rest at the cursor: no hit on the trigger channel above (or no
+ * new pitch, without one), then moves the cursor on.
+ */
+export function recordRest() {
+  const state = stateManager.getState();
+  const { channel: ch, cursor } = state.midiNotes;
+  if (state.channels[ch]?.mode !== 'pitch') return;
+
+  if (state.channels[ch - 1]?.mode === 'trigger') {
+    stateManager.set(`pattern.${ch - 1}.${cursor}`, false);
+  } else {
+    stateManager.set(`channels.${ch}.pitches.${cursor}`, null);
+  }
+  advanceCursor(state, ch, cursor);
+}
+
+function advanceCursor(state, ch, cursor) {
+  stateManager.set('midiNotes.cursor', (cursor + 1) % recordLength(state, ch));
+}
+
+// Smooths the tick interval so one late message doesn't lurch the tempo
+function measureTick(time) {
+  const interval = lastTickTime === null ? null : time - lastTickTime;
+  lastTickTime = time;
+  if (interval === null || interval <= 0 || interval > MIDI_CONSTANTS.MAX_TICK_INTERVAL_MS) return; // First tick after a gap
+
+  tickPeriod = tickPeriod === null ? interval : tickPeriod + (interval - tickPeriod) * MIDI_CONSTANTS.TEMPO_SMOOTHING;
+  renderTempo();
+}
+
+function renderTempo() {
+  const text = tickPeriod ? `${Math.round(60000 / (tickPeriod * PPQN))}bpm` : '';
+  if (els.midiTempo.textContent !== text) els.midiTempo.textContent = text;
+}
+
+/**
+ * Sends a MIDI clock tick, if clock out is on.
+ * @param {number} timestamp - performance.now() time the tick reaches the outputs
+ */
+export function sendMidiClock(timestamp) {
+  sendMidi(CLOCK, timestamp);
+}
+
+/**
+ * Sends MIDI start, continue or stop, if clock out is on.
+ * @param {number} status - MIDI_CONSTANTS.START, CONTINUE or STOP
+ * @param {number} timestamp - performance.now() time it should line up with
+ */
+export function sendMidiTransport(status, timestamp) {
+  sendMidi(status, timestamp);
+}
+
+function sendMidi(status, timestamp) {
+  if (!output) return;
+  const { sendMidi: isSending, latency } = stateManager.get('clock');
+  if (!isSending) return;
+  // The latency offset lines the receiver up with what it hears from the ES-8
+  output.send([status], Math.max(performance.now(), timestamp + latency));
+}
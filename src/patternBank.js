@@ -0,0 +1,199 @@
+import { stateManager } from "./StateManager.js";
+import { SEQUENCER_CONSTANTS, BANK_CONSTANTS, TRIG_CONSTANTS, RATCHET_CONSTANTS, VELOCITY_CONSTANTS } from "./constants.js";
+
+/**
+ * Pattern bank and song chain helpers.
+ *
+ * The live `pattern` and per-step channel data in the state are always the
+ * pattern being edited and played; `bank[currentPattern]` is only brought up
+ * to date when switching away from it (or when saving a preset). Channel
+ * settings such as modes and scales are shared by every pattern in the bank.
+ */
+
+// Per-step channel data that belongs to a pattern, with the value for an empty pattern
+export const STEP_DATA_DEFAULTS = {
+  pitches: () => Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(null),
+  slides: () => Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(false),
+  offsets: () => Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(0),
+  probabilities: () => Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(TRIG_CONSTANTS.DEFAULT_PROBABILITY),
+  conditions: () => Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(null),
+  ratchets: () => Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(RATCHET_CONSTANTS.MIN),
+  velocities: () => Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(VELOCITY_CONSTANTS.DEFAULT),
+  gates: () => Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(null),
+  ties: () => Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(false),
+};
+
+// Channel fields stored per pattern: the step data plus each channel's length
+const SLOT_CHANNEL_KEYS = ['steps', ...Object.keys(STEP_DATA_DEFAULTS)];
+
+export function createEmptyBank() {
+  return Array(BANK_CONSTANTS.NUM_PATTERNS).fill(null);
+}
+
+export function createDefaultSong() {
+  return { enabled: false, loop: true, entries: [{ pattern: 0, repeats: 1 }] };
+}
+
+/**
+ * Captures the live pattern and per-step channel data from a state snapshot.
+ * @param {Object} state - State from stateManager.getState()
+ * @returns {Object} Pattern slot
+ */
+export function captureSlot(state) {
+  return {
+    pattern: state.pattern,
+    channels: state.channels.map(channel => {
+      const data = {};
+      SLOT_CHANNEL_KEYS.forEach(key => {
+        if (channel[key] !== undefined) data[key] = channel[key];
+      });
+      return data;
+    }),
+  };
+}
+
+/**
+ * Creates a cleared slot; channel lengths are kept from the given state.
+ * @param {Object} state - State from stateManager.getState()
+ * @returns {Object} Pattern slot
+ */
+export function createEmptySlot(state) {
+  return {
+    pattern: Array(SEQUENCER_CONSTANTS.MAX_CHANNELS).fill(null).map(() => Array(SEQUENCER_CONSTANTS.MAX_SUBDIVISIONS).fill(false)),
+    channels: state.channels.map(channel => {
+      const data = {};
+      Object.entries(STEP_DATA_DEFAULTS).forEach(([key, createDefault]) => {
+        if (channel[key] !== undefined) data[key] = createDefault();
+      });
+      return data;
+    }),
+  };
+}
+
+/**
+ * Returns the slot for a bank index; the current pattern comes from the live state.
+ * @param {number} index - Bank index
+ * @returns {Object} Pattern slot
+ */
+export function getSlot(index) {
+  const state = stateManager.getState();
+  if (index === state.currentPattern) return captureSlot(state);
+
+  // Stored slots may predate some step data or tracks; fill the gaps from an empty slot
+  const emptySlot = createEmptySlot(state);
+  const slot = state.bank[index];
+  if (!slot) return emptySlot;
+  return {
+    pattern: emptySlot.pattern.map((empty, i) => slot.pattern[i] ?? empty),
+    channels: emptySlot.channels.map((empty, i) => ({ ...empty, ...slot.channels[i] })),
+  };
+}
+
+/**
+ * Writes a slot into the live pattern and channel step data.
+ * @param {Object} slot - Pattern slot
+ */
+export function applySlot(slot) {
+  stateManager.set('pattern', slot.pattern);
+  slot.channels.forEach((data, i) => {
+    Object.entries(data).forEach(([key, value]) => {
+      stateManager.set(`channels.${i}.${key}`, value);
+    });
+  });
+}
+
+/**
+ * Stores the live pattern in its bank slot.
+ */
+export function commitLivePattern() {
+  const state = stateManager.getState();
+  stateManager.set(`bank.${state.currentPattern}`, captureSlot(state));
+}
+
+/**
+ * Makes a bank pattern the live pattern, storing the outgoing one first.
+ * @param {number} index - Bank index
+ * @param {Object} [options]
+ * @param {boolean} [options.record=true] - Whether the switch is an undo step;
+ *   switches the worklet or the song makes aren't, and start a fresh history
+ */
+export function selectPattern(index, { record = true } = {}) {
+  const state = stateManager.getState();
+  if (index === state.currentPattern) return;
+  if (!record) {
+    switchPattern(index);
+    // Earlier steps were made on the outgoing pattern's data
+    stateManager.clearHistory();
+    return;
+  }
+  // The switch is one undo step, so undoing past it brings back the outgoing
+  // pattern and earlier steps still apply to the data they were made on
+  stateManager.transaction(() => switchPattern(index));
+}
+
+function switchPattern(index) {
+  commitLivePattern();
+  applySlot(getSlot(index));
+  stateManager.set('currentPattern', index);
+}
+
+// --- Song mode ---
+
+/**
+ * Parses a song chain such as "1x4 2 3x2" (pattern number, optional repeat count).
+ * @param {string} text - Chain text
+ * @returns {Array<{pattern: number, repeats: number}>|null} Entries, or null if invalid
+ */
+export function parseSongChain(text) {
+  const tokens = text.trim().split(/[\s,]+/).filter(Boolean);
+  if (tokens.length === 0) return null;
+
+  const entries = [];
+  for (const token of tokens) {
+    const match = /^(\d+)(?:x(\d+))?$/i.exec(token);
+    if (!match) return null;
+    const pattern = parseInt(match[1]) - 1;
+    const repeats = match[2] ? parseInt(match[2]) : 1;
+    if (pattern < 0 || pattern >= BANK_CONSTANTS.NUM_PATTERNS || repeats < 1 || repeats > BANK_CONSTANTS.MAX_REPEATS) return null;
+    entries.push({ pattern, repeats });
+  }
+  return entries;
+}
+
+/**
+ * Formats song entries back into chain text.
+ * @param {Array<{pattern: number, repeats: number}>} entries
+ * @returns {string}
+ */
+export function formatSongChain(entries) {
+  return entries.map(({ pattern, repeats }) => repeats > 1 ? `${pattern + 1}x${repeats}` : `${pattern + 1}`).join(' ');
+}
+
+/**
+ * Moves the song position on by one pattern cycle.
+ * @param {Object} song - Song config
+ * @param {{entry: number, repeat: number}} position - Position of the cycle that just ended
+ * @returns {{entry: number, repeat: number}} Position of the cycle that is starting
+ */
+export function advanceSongPosition(song, position) {
+  const repeat = position.repeat + 1;
+  if (repeat < song.entries[position.entry].repeats) return { entry: position.entry, repeat };
+  return { entry: (position.entry + 1) % song.entries.length, repeat: 0 };
+}
+
+/**
+ * Works out what has to be queued while a song position is playing.
+ * Patterns are queued one cycle ahead so the switch lands on the next wrap.
+ * @param {Object} song - Song config
+ * @param {{entry: number, repeat: number}} position - Position of the cycle now playing
+ * @returns {{pattern: number, loops: boolean}|{end: true}|null} Pattern to queue (which
+ *   may start the song over), song end, or nothing yet
+ */
+export function getSongQueue(song, position) {
+  const entry = song.entries[position.entry];
+  if (position.repeat < entry.repeats - 1) return null;
+
+  const nextEntry = position.entry + 1;
+  if (nextEntry >= song.entries.length && !song.loop) return { end: true };
+  return { pattern: song.entries[nextEntry % song.entries.length].pattern, loops: nextEntry >= song.entries.length };
+}
@@ -0,0 +1,449 @@
+import { stateManager, createRouting, createTriggerChannel, createPitchChannel, createClockChannel, createRampChannel, createLfoChannel, createShChannel, createVelocityChannel, createCcChannel, createUtilityChannel } from "./StateManager.js";
+import { PRESET_CONSTANTS, SEQUENCER_CONSTANTS, BANK_CONSTANTS, TIMING_CONSTANTS, TEMPO_MODES, TEMPO_CONSTANTS, NOTE_VALUES, DIRECTIONS, LFO_WAVEFORMS, LFO_RATE_MODES, LFO_RANGES, LFO_CONSTANTS, SH_MODES, SH_CONSTANTS, MIDI_CONSTANTS, SCALE_TYPES, SCALES, GLIDE_UNITS, GLIDE_CURVES, GLIDE_CONSTANTS, RATCHET_CONSTANTS, VELOCITY_CONSTANTS, GATE_CONSTANTS, PITCH_CONSTANTS, TRIG_CONDITIONS, UTILITY_SOURCES, UTILITY_CONSTANTS, GENERATOR_TYPES, GRIDS_PARTS, GENERATOR_CONSTANTS, MOD_CONSTANTS } from "./constants.js";
+import { captureSlot, createEmptyBank, createDefaultSong, STEP_DATA_DEFAULTS } from "./patternBank.js";
+import { isValidMask } from "./scales.js";
+import { isModRoute, isRoutedTrack } from "./messageProtocol.js";
+import { parseRatio } from "./trigConditions.js";
+
+const { SCHEMA_ID, SCHEMA_VERSION, DB_NAME, DB_VERSION, STORE_NAME } = PRESET_CONSTANTS;
+
+// Channel fields that describe playback position or display, not the pattern itself
+const TRANSIENT_CHANNEL_FIELDS = ['currentStep', 'shValues'];
+
+// Factories used to fill in fields that older presets don't have
+const CHANNEL_FACTORIES = {
+  trigger: createTriggerChannel,
+  pitch: createPitchChannel,
+  clock: createClockChannel,
+  ramp: createRampChannel,
+  lfo: createLfoChannel,
+  sh: createShChannel,
+  velocity: createVelocityChannel,
+  cc: createCcChannel,
+  util: createUtilityChannel,
+};
+
+/**
+ * Schema migrations, keyed by the version they upgrade *from*.
+ * Each one takes a preset document and returns it at the next version.
+ * When the saved state shape changes, bump SCHEMA_VERSION and add a step here.
+ */
+const MIGRATIONS = {
+  // Version 0: a bare `getState()` dump with no wrapper
+  0: (doc) => ({
+    schema: SCHEMA_ID,
+    version: 1,
+    name: doc.name ?? 'Untitled',
+    savedAt: null,
+    data: {
+      pattern: doc.pattern,
+      channels: doc.channels,
+      subdivisions: doc.subdivisions,
+      cycleTime: doc.cycleTime,
+    },
+  }),
+  // Version 1: a single pattern, before the pattern bank and song mode
+  1: (doc) => ({
+    ...doc,
+    version: 2,
+    data: { ...doc.data, bank: createEmptyBank(), currentPattern: 0, song: createDefaultSong() },
+  }),
+};
+
+// --- Serialization ---
+
+function stripTransientFields(channel) {
+  const stripped = { ...channel };
+  TRANSIENT_CHANNEL_FIELDS.forEach(field => delete stripped[field]);
+  return stripped;
+}
+
+/**
+ * Builds a versioned preset document from the current state, including the
+ * whole pattern bank and song.
+ * @param {string} name - Preset name
+ * @returns {Object} Preset document
+ */
+export function createPreset(name) {
+  const state = stateManager.getState();
+  const { pattern, channels, subdivisions, cycleTime, swing, tempo, currentPattern, song, modulation, routing } = state;
+  // The live pattern is only written back to the bank on a switch, so store it explicitly
+  const bank = state.bank.map((slot, i) => i === currentPattern ? captureSlot(state) : slot);
+  return {
+    schema: SCHEMA_ID,
+    version: SCHEMA_VERSION,
+    name,
+    savedAt: new Date().toISOString(),
+    data: {
+      pattern,
+      channels: channels.map(stripTransientFields),
+      subdivisions,
+      cycleTime,
+      swing,
+      tempo,
+      bank,
+      currentPattern,
+      song,
+      modulation,
+      routing,
+    },
+  };
+}
+
+/**
+ * Upgrades a preset document of any known version to the current schema.
+ * @param {Object} doc - Parsed preset document
+ * @returns {Object} Preset document at SCHEMA_VERSION
+ * @throws {Error} If the document isn't a preset or comes from a newer version
+ */
+export function migratePreset(doc) {
+  if (!doc || typeof doc !== 'object') throw new Error('Not a preset file');
+
+  // Bare state dumps predate the versioned wrapper
+  let migrated = doc.schema === undefined && Array.isArray(doc.pattern) ? { ...doc, version: 0 } : doc;
+  if (migrated.schema !== undefined && migrated.schema !== SCHEMA_ID) throw new Error('Not a preset file');
+
+  if (migrated.version > SCHEMA_VERSION) {
+    throw new Error(`Preset version ${migrated.version} is newer than supported (${SCHEMA_VERSION})`);
+  }
+
+  while (migrated.version < SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[migrated.version];
+    if (!migrate) throw new Error(`No migration from preset version ${migrated.version}`);
+    migrated = migrate(migrated);
+  }
+
+  if (!Array.isArray(migrated.data?.pattern) || !Array.isArray(migrated.data?.channels)) {
+    throw new Error('Preset is missing pattern data');
+  }
+  return migrated;
+}
+
+function padArray(array, length, fill) {
+  const padded = Array.isArray(array) ? array.slice(0, length) : [];
+  while (padded.length < length) padded.push(fill);
+  return padded;
+}
+
+function clampNumber(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+// --- Checking imported channels ---
+
+const { MIN_SUBDIVISIONS, MAX_SUBDIVISIONS, MAX_CHANNELS, SAMPLE_RATE } = SEQUENCER_CONSTANTS;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isIn = (min, max) => value => typeof value === 'number' && value >= min && value <= max;
+const isIntIn = (min, max) => value => Number.isInteger(value) && value >= min && value <= max;
+const isOneOf = values => value => values.includes(value);
+const orNull = isValid => value => value === null || isValid(value);
+
+const isScala = scala => isObject(scala) && typeof scala.description === 'string' &&
+  (scala.name === undefined || typeof scala.name === 'string') &&
+  Array.isArray(scala.degrees) && scala.degrees.every(Number.isFinite) && isIn(Number.MIN_VALUE, Infinity)(scala.period);
+const isRatio = ratio => isObject(ratio) &&
+  isIntIn(1, UTILITY_CONSTANTS.MAX_RATIO)(ratio.multiply) && isIntIn(1, UTILITY_CONSTANTS.MAX_RATIO)(ratio.divide);
+const isCondition = condition => Object.values(TRIG_CONDITIONS).includes(condition) || parseRatio(condition) !== null;
+
+// Channel settings, checked with the limits the inputs use. Fields not listed
+// only need the type of the factory's value.
+const CHANNEL_FIELD_RULES = {
+  steps: isIntIn(MIN_SUBDIVISIONS, MAX_SUBDIVISIONS),
+  triggerDuration: isIntIn(1, SAMPLE_RATE),
+  duration: isIntIn(1, SAMPLE_RATE),
+  swing: orNull(isIn(TIMING_CONSTANTS.MIN_SWING, TIMING_CONSTANTS.MAX_SWING)),
+  direction: isOneOf(Object.values(DIRECTIONS)),
+  rotation: isIntIn(-MAX_SUBDIVISIONS, MAX_SUBDIVISIONS),
+  seed: Number.isInteger,
+  waveform: isOneOf(Object.values(LFO_WAVEFORMS)),
+  rateMode: isOneOf(Object.values(LFO_RATE_MODES)),
+  range: isOneOf(Object.values(LFO_RANGES)),
+  rate: isIn(LFO_CONSTANTS.MIN_RATE, LFO_CONSTANTS.MAX_RATE),
+  phase: isIn(0, 1),
+  shMode: isOneOf(Object.values(SH_MODES)),
+  minVoltage: isIn(SH_CONSTANTS.MIN_VOLTAGE, SH_CONSTANTS.MAX_VOLTAGE),
+  maxVoltage: isIn(SH_CONSTANTS.MIN_VOLTAGE, SH_CONSTANTS.MAX_VOLTAGE),
+  cc: isIntIn(0, MIDI_CONSTANTS.MAX_CC),
+  scale: isOneOf([...Object.values(SCALE_TYPES), ...Object.keys(SCALES)]),
+  scaleRoot: isIntIn(0, 11),
+  scaleMask: isValidMask,
+  scala: orNull(isScala),
+  slideTime: isIn(0, GLIDE_CONSTANTS.MAX_MS),
+  slideUnit: isOneOf(Object.values(GLIDE_UNITS)),
+  slideCurve: isOneOf(Object.values(GLIDE_CURVES)),
+  ratchetDecay: isIn(0, RATCHET_CONSTANTS.MAX_DECAY),
+  source: isOneOf(Object.values(UTILITY_SOURCES)),
+  track: orNull(isIntIn(0, MAX_CHANNELS - 1)),
+  ratio: isRatio,
+};
+
+// Peak volts, which depend on the mode
+const AMPLITUDE_RULES = {
+  lfo: isIn(0, LFO_CONSTANTS.MAX_AMPLITUDE),
+  velocity: isIn(0, VELOCITY_CONSTANTS.MAX_AMPLITUDE),
+  ramp: isIn(0, 12),
+};
+
+const GENERATOR_FIELD_RULES = {
+  type: isOneOf(Object.values(GENERATOR_TYPES)),
+  hits: isIntIn(0, MAX_SUBDIVISIONS),
+  rotation: isIntIn(-MAX_SUBDIVISIONS, MAX_SUBDIVISIONS),
+  density: isIn(0, 100),
+  seed: Number.isInteger,
+  part: isOneOf(Object.values(GRIDS_PARTS)),
+  x: isIn(0, GENERATOR_CONSTANTS.MAX_POSITION),
+  y: isIn(0, GENERATOR_CONSTANTS.MAX_POSITION),
+};
+
+// Per-step data, checked step by step, as the step editor does
+const STEP_FIELD_RULES = {
+  pitches: orNull(isIn(PITCH_CONSTANTS.MIN_SEMITONES, PITCH_CONSTANTS.MAX_SEMITONES)),
+  offsets: isIn(-TIMING_CONSTANTS.MAX_OFFSET, TIMING_CONSTANTS.MAX_OFFSET),
+  probabilities: isIn(0, 100),
+  conditions: orNull(isCondition),
+  ratchets: isIntIn(RATCHET_CONSTANTS.MIN, RATCHET_CONSTANTS.MAX),
+  velocities: isIn(VELOCITY_CONSTANTS.MIN, VELOCITY_CONSTANTS.MAX),
+  gates: orNull(isIn(GATE_CONSTANTS.MIN, GATE_CONSTANTS.MAX)),
+};
+
+const isSameType = (value, reference) => Array.isArray(reference) ? Array.isArray(value) :
+  typeof reference === 'number' ? Number.isFinite(value) : typeof value === typeof reference && value !== null;
+
+// A step array the length of the default one, with each bad or missing step set to the default's
+function checkSteps(saved, defaults, isValid) {
+  if (!Array.isArray(saved)) return defaults;
+  return defaults.map((fallback, step) => isValid(saved[step]) ? saved[step] : fallback);
+}
+
+/**
+ * Takes the fields of a saved object that are valid, falling back to the
+ * defaults for the rest. Fields the defaults don't have are dropped.
+ * @param {Object} saved - Object from a preset file
+ * @param {Object} defaults - Factory object
+ * @param {Object} rules - Validators by field
+ * @returns {Object}
+ */
+function checkFields(saved, defaults, rules) {
+  const checked = {};
+  Object.entries(defaults).forEach(([field, fallback]) => {
+    const value = saved[field];
+    if (field in STEP_FIELD_RULES) {
+      checked[field] = checkSteps(value, fallback, STEP_FIELD_RULES[field]);
+    } else if (Array.isArray(fallback)) {
+      checked[field] = checkSteps(value, fallback, step => isSameType(step, fallback[0]));
+    } else if (field === 'generator') {
+      checked[field] = isObject(value) ? checkFields(value, fallback, GENERATOR_FIELD_RULES) : fallback;
+    } else if (field in rules) {
+      checked[field] = rules[field](value) ? value : fallback;
+    } else {
+      checked[field] = isSameType(value, fallback) ? value : fallback;
+    }
+  });
+  return checked;
+}
+
+/**
+ * Builds a channel from a saved one. Preset files can come from anywhere, so
+ * each field is checked against its channel factory: anything of the wrong
+ * type or out of range gets the factory's value.
+ * @param {Object} saved - Saved channel
+ * @returns {Object|null} Channel, or null for an unknown mode
+ */
+function checkChannel(saved) {
+  const factory = CHANNEL_FACTORIES[saved?.mode];
+  if (!factory) return null;
+  const rules = saved.mode in AMPLITUDE_RULES ? { ...CHANNEL_FIELD_RULES, amplitude: AMPLITUDE_RULES[saved.mode] } : CHANNEL_FIELD_RULES;
+  // Playback position and held values start over
+  const channel = checkFields(stripTransientFields(saved), factory(), rules);
+  // A glide in steps is a fraction of a step
+  if (channel.slideUnit === GLIDE_UNITS.STEP) channel.slideTime = Math.min(channel.slideTime, GLIDE_CONSTANTS.MAX_STEPS);
+  return channel;
+}
+
+/**
+ * Checks a stored bank slot: its pattern and each channel's step data.
+ * @param {Object|null} slot - Saved slot
+ * @returns {Object|null} Slot, or null if there's nothing usable
+ */
+function checkSlot(slot) {
+  if (!isObject(slot) || !Array.isArray(slot.pattern) || !Array.isArray(slot.channels)) return null;
+  return {
+    pattern: slot.pattern.slice(0, MAX_CHANNELS).map(checkPatternRow),
+    channels: slot.channels.slice(0, MAX_CHANNELS).map(data => {
+      if (!isObject(data)) return {};
+      const checked = {};
+      if (CHANNEL_FIELD_RULES.steps(data.steps)) checked.steps = data.steps;
+      Object.entries(STEP_DATA_DEFAULTS).forEach(([field, createDefault]) => {
+        if (data[field] === undefined) return;
+        const isValid = STEP_FIELD_RULES[field] ?? (step => typeof step === 'boolean');
+        checked[field] = checkSteps(data[field], createDefault(), isValid);
+      });
+      return checked;
+    }),
+  };
+}
+
+// Outputs with a bad entry play their own track, as by default
+function checkRouting(routing) {
+  return createRouting().map((fallback, out) => Array.isArray(routing) && isRoutedTrack(routing[out]) ? routing[out] : fallback);
+}
+
+// Routes the worklet wouldn't accept are dropped
+function checkModulation(routes) {
+  return Array.isArray(routes) ? routes.filter(isModRoute).slice(0, MOD_CONSTANTS.MAX_ROUTES) : [];
+}
+
+// Presets from before BPM mode keep running on cycle seconds; other fields
+// out of range are clamped, and unknown ones keep the current setting
+function checkTempo(saved, current) {
+  const { MIN_BPM, MAX_BPM, MAX_BEATS, BEAT_UNITS } = TEMPO_CONSTANTS;
+  const tempo = isObject(saved) ? saved : {};
+  return {
+    ...current,
+    mode: Object.values(TEMPO_MODES).includes(tempo.mode) ? tempo.mode : TEMPO_MODES.SECONDS,
+    bpm: Number.isFinite(tempo.bpm) ? clampNumber(tempo.bpm, MIN_BPM, MAX_BPM) : current.bpm,
+    beats: Number.isFinite(tempo.beats) ? clampNumber(Math.round(tempo.beats), 1, MAX_BEATS) : current.beats,
+    beatUnit: BEAT_UNITS.includes(tempo.beatUnit) ? tempo.beatUnit : current.beatUnit,
+    noteValue: Object.hasOwn(NOTE_VALUES, tempo.noteValue) ? tempo.noteValue : current.noteValue,
+  };
+}
+
+// Steps are on only when saved as true
+function checkPatternRow(row) {
+  return padArray(row, MAX_SUBDIVISIONS, false).map(step => step === true);
+}
+
+/**
+ * Loads a (migrated) preset into the state manager.
+ * Missing channel fields are filled from the channel factories so that
+ * presets saved before a field existed still load with sensible defaults.
+ * @param {Object} preset - Preset document at SCHEMA_VERSION
+ */
+export function applyPreset(preset) {
+  const { MIN_CYCLE_TIME, MAX_CYCLE_TIME } = SEQUENCER_CONSTANTS;
+  const { data } = preset;
+  const currentChannels = stateManager.get('channels');
+
+  // A channel of an unknown mode keeps the current one
+  const channels = currentChannels.map((current, i) => checkChannel(data.channels[i]) ?? current);
+
+  const pattern = Array(MAX_CHANNELS).fill(null).map((_, i) => checkPatternRow(data.pattern[i]));
+
+  // Loading is a single undo step, so a preset loaded over unsaved work can be undone
+  stateManager.transaction(() => {
+    stateManager.set('pattern', pattern);
+    stateManager.set('channels', channels);
+    // Imported files may hold anything; clamp to what the inputs (and the worklet) accept
+    if (Number.isFinite(data.subdivisions)) stateManager.set('subdivisions', clampNumber(Math.round(data.subdivisions), MIN_SUBDIVISIONS, MAX_SUBDIVISIONS));
+    if (Number.isFinite(data.cycleTime)) stateManager.set('cycleTime', clampNumber(data.cycleTime, MIN_CYCLE_TIME, MAX_CYCLE_TIME));
+    const swing = Number.isFinite(data.swing) ? clampNumber(data.swing, TIMING_CONSTANTS.MIN_SWING, TIMING_CONSTANTS.MAX_SWING) : TIMING_CONSTANTS.DEFAULT_SWING;
+    stateManager.set('swing', swing);
+    stateManager.set('tempo', checkTempo(data.tempo, stateManager.get('tempo')));
+    stateManager.set('gridSubdivisions', Math.min(stateManager.get('gridSubdivisions'), stateManager.get('subdivisions')));
+
+    stateManager.set('bank', padArray(data.bank, BANK_CONSTANTS.NUM_PATTERNS, null).map(checkSlot));
+    stateManager.set('currentPattern', data.currentPattern ?? 0);
+    stateManager.set('song', data.song ?? createDefaultSong());
+    stateManager.set('modulation', checkModulation(data.modulation));
+    // Presets from before routing play every track on its own output
+    stateManager.set('routing', checkRouting(data.routing));
+    stateManager.set('queuedPattern', null);
+    stateManager.set('songPosition', null);
+  });
+}
+
+// --- IndexedDB storage ---
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'name' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Saves the current state as a named preset, replacing any preset with that name.
+ * @param {string} name - Preset name
+ */
+export async function savePreset(name) {
+  await withStore('readwrite', store => store.put(createPreset(name)));
+}
+
+/**
+ * Loads a named preset into the state manager.
+ * @param {string} name - Preset name
+ */
+export async function loadPreset(name) {
+  const doc = await withStore('readonly', store => store.get(name));
+  if (!doc) throw new Error(`Preset "${name}" not found`);
+  applyPreset(migratePreset(doc));
+}
+
+/**
+ * Deletes a named preset.
+ * @param {string} name - Preset name
+ */
+export async function deletePreset(name) {
+  await withStore('readwrite', store => store.delete(name));
+}
+
+/**
+ * Lists the names of all saved presets.
+ * @returns {Promise<string[]>} Sorted preset names
+ */
+export async function listPresets() {
+  const names = await withStore('readonly', store => store.getAllKeys());
+  return names.sort((a, b) => a.localeCompare(b));
+}
+
+// --- JSON files ---
+
+/**
+ * Downloads the current state as a preset .json file.
+ * @param {string} name - Preset name, also used for the file name
+ */
+export function exportPresetFile(name) {
+  const blob = new Blob([JSON.stringify(createPreset(name), null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Reads a preset .json file, migrates it and loads it into the state manager.
+ * @param {File} file - Dropped or selected file
+ * @returns {Promise<Object>} The migrated preset
+ */
+export async function importPresetFile(file) {
+  let doc;
+  try {
+    doc = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`${file.name} is not valid JSON`);
+  }
+  const preset = migratePreset(doc);
+  applyPreset(preset);
+  return preset;
+}
@@ -0,0 +1,35 @@
+/**
+ * Seeded pseudo-random helpers.
+ * Everything random in the sequencer goes through these so that patterns are
+ * reproducible from a seed. Safe to import from the audio worklet.
+ */
+
+/**
+ * Creates a seeded PRNG (mulberry32).
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning floats in the range [0, 1)
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffles an array in place (Fisher-Yates).
+ * @param {Array} array - Array to shuffle
+ * @param {Function} rng - PRNG from createRng
+ * @returns {Array} The same array
+ */
+export function shuffleInPlace(array, rng) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
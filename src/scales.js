@@ -0,0 +1,129 @@
+import { SCALES, SCALE_TYPES, NOTE_NAMES, PITCH_CONSTANTS } from "./constants.js";
+
+/**
+ * Pitch quantizer helpers.
+ * A scale is normalised to `{ degrees, period }` in cents, so built-in masks,
+ * custom masks and Scala tunings all quantize through the same code path.
+ * Safe to import from the audio worklet.
+ */
+
+const CENTS_PER_SEMITONE = 100;
+const OCTAVE_CENTS = 1200;
+
+/**
+ * Converts a 12-character semitone mask ("101011010101") into a scale.
+ * @param {string} mask - Semitone mask starting at the root
+ * @returns {{degrees: number[], period: number}|null} Scale, or null if the mask is empty/invalid
+ */
+export function maskToScale(mask) {
+  if (!isValidMask(mask)) return null;
+  const degrees = [];
+  for (let i = 0; i < 12; i++) {
+    if (mask[i] === "1") degrees.push(i * CENTS_PER_SEMITONE);
+  }
+  return degrees.length > 0 ? { degrees, period: OCTAVE_CENTS } : null;
+}
+
+/**
+ * Whether a string is a usable 12-character semitone mask.
+ * @param {string} mask
+ * @returns {boolean}
+ */
+export function isValidMask(mask) {
+  return typeof mask === "string" && /^[01]{12}$/.test(mask);
+}
+
+/**
+ * Parses the contents of a Scala .scl file.
+ * @param {string} text - File contents
+ * @returns {{description: string, degrees: number[], period: number}} Parsed scale in cents
+ * @throws {Error} If the file is malformed
+ */
+export function parseScala(text) {
+  const lines = text.split(/\r?\n/).filter(line => !line.trimStart().startsWith("!"));
+  if (lines.length < 2) throw new Error("Scala file is missing its header");
+
+  const description = lines[0].trim();
+  const count = parseInt(lines[1].trim());
+  if (isNaN(count) || count < 1) throw new Error("Scala file has an invalid note count");
+
+  const pitches = lines.slice(2).map(line => line.trim()).filter(line => line !== "").slice(0, count).map(parseScalaPitch);
+  if (pitches.length !== count) throw new Error(`Scala file lists ${pitches.length} of ${count} notes`);
+
+  // The last entry is the period (usually 2/1); the root itself is implicit
+  const period = pitches[pitches.length - 1];
+  if (period <= 0) throw new Error("Scala file has an invalid period");
+  const degrees = [0, ...pitches.slice(0, -1).filter(cents => cents > 0 && cents < period)].sort((a, b) => a - b);
+
+  return { description, degrees, period };
+}
+
+function parseScalaPitch(line) {
+  const value = line.split(/\s+/)[0];
+  // Values containing a period are cents, everything else is a ratio or integer
+  if (value.includes(".")) {
+    const cents = parseFloat(value);
+    if (isNaN(cents)) throw new Error(`Invalid Scala pitch: ${value}`);
+    return cents;
+  }
+  const [numerator, denominator = "1"] = value.split("/");
+  const ratio = parseInt(numerator) / parseInt(denominator);
+  if (!(ratio > 0)) throw new Error(`Invalid Scala pitch: ${value}`);
+  return OCTAVE_CENTS * Math.log2(ratio);
+}
+
+/**
+ * Resolves a channel's quantizer settings into a scale.
+ * @param {Object} channel - Pitch channel config
+ * @returns {{degrees: number[], period: number}|null} Scale, or null when quantization is off
+ */
+export function getChannelScale(channel) {
+  const scale = channel?.scale ?? SCALE_TYPES.OFF;
+  if (scale === SCALE_TYPES.OFF) return null;
+  if (scale === SCALE_TYPES.CUSTOM) return maskToScale(channel.scaleMask);
+  if (scale === SCALE_TYPES.SCALA) {
+    return channel.scala?.degrees?.length ? { degrees: channel.scala.degrees, period: channel.scala.period } : null;
+  }
+  return SCALES[scale] ? maskToScale(SCALES[scale].mask) : null;
+}
+
+/**
+ * Snaps a pitch to the nearest degree of a scale.
+ * @param {number} semitones - Pitch in semitones relative to 0V
+ * @param {{degrees: number[], period: number}|null} scale - Scale from getChannelScale
+ * @param {number} root - Root note as a semitone offset (0 = C)
+ * @returns {number} Quantized pitch in (possibly fractional) semitones
+ */
+export function quantizePitch(semitones, scale, root = 0) {
+  if (!scale) return semitones;
+
+  const cents = (semitones - root) * CENTS_PER_SEMITONE;
+  const periodIndex = Math.floor(cents / scale.period);
+  const withinPeriod = cents - periodIndex * scale.period;
+
+  // The next period's root is a candidate too, so values just below it round up
+  let nearest = scale.period;
+  let smallestDistance = scale.period - withinPeriod;
+  for (const degree of scale.degrees) {
+    const distance = Math.abs(withinPeriod - degree);
+    if (distance < smallestDistance) {
+      smallestDistance = distance;
+      nearest = degree;
+    }
+  }
+
+  return (periodIndex * scale.period + nearest) / CENTS_PER_SEMITONE + root;
+}
+
+/**
+ * Formats a pitch as a note name, e.g. 0 → "C4", -6 → "F#3".
+ * Fractional pitches are shown by their nearest note.
+ * @param {number} semitones - Pitch in semitones relative to 0V
+ * @returns {string} Note name
+ */
+export function noteName(semitones) {
+  const nearest = Math.round(semitones);
+  const noteIndex = ((nearest % 12) + 12) % 12;
+  const octave = PITCH_CONSTANTS.ZERO_VOLT_OCTAVE + Math.floor(nearest / 12);
+  return `${NOTE_NAMES[noteIndex]}${octave}`;
+}
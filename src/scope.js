@@ -0,0 +1,139 @@
+import { stateManager } from "./StateManager.js";
+import { els } from "./ui.js";
+import { SCOPE_CONSTANTS } from "./constants.js";
+
+/**
+ * Oscilloscope and voltage meters for the outputs.
+ * While the scope is open the worklet sends the min and max volts of each
+ * output in decimated blocks; they're kept in a ring one screen wide and
+ * drawn at most once per animation frame.
+ */
+
+const { BLOCK_POINTS, WINDOW_POINTS, MAX_VOLTS, GRID_VOLTS, COLORS } = SCOPE_CONSTANTS;
+
+let traces = []; // Per output { min, max }, WINDOW_POINTS long
+let head = 0; // Ring index the next point goes into
+let latest = []; // Volts on each output at the end of the last block
+let isDrawScheduled = false;
+
+/**
+ * Colour of an output's trace and meter.
+ * @param {number} out - Output index
+ * @returns {string}
+ */
+export function scopeColor(out) {
+  return COLORS[out % COLORS.length];
+}
+
+/**
+ * Adds a block from the worklet and schedules a redraw.
+ * @param {{min: Float32Array, max: Float32Array, latest: number[]}} block -
+ *   BLOCK_POINTS points per output, output after output
+ */
+export function pushScopeBlock(block) {
+  const outputs = block.latest.length;
+  if (traces.length !== outputs) {
+    traces = Array.from({ length: outputs }, () => ({ min: new Float32Array(WINDOW_POINTS), max: new Float32Array(WINDOW_POINTS) }));
+    head = 0;
+  }
+
+  traces.forEach((trace, out) => {
+    for (let point = 0; point < BLOCK_POINTS; point++) {
+      const i = (head + point) % WINDOW_POINTS;
+      trace.min[i] = block.min[out * BLOCK_POINTS + point];
+      trace.max[i] = block.max[out * BLOCK_POINTS + point];
+    }
+  });
+  head = (head + BLOCK_POINTS) % WINDOW_POINTS;
+  latest = block.latest;
+  scheduleDraw();
+}
+
+/**
+ * Forgets the captured traces, so reopening the scope doesn't show stale ones.
+ */
+export function clearScope() {
+  traces = [];
+  head = 0;
+  latest = [];
+  scheduleDraw();
+}
+
+/**
+ * Redraws the traces and meters on the next animation frame.
+ */
+export function scheduleDraw() {
+  if (isDrawScheduled) return;
+  isDrawScheduled = true;
+  requestAnimationFrame(drawScope);
+}
+
+function drawScope() {
+  isDrawScheduled = false;
+  if (!stateManager.get('scope.enabled')) return;
+
+  const canvas = els.scopeCanvas;
+  // Draw at the screen's resolution, following the panel's width
+  const width = Math.round(canvas.clientWidth * devicePixelRatio);
+  const height = Math.round(canvas.clientHeight * devicePixelRatio);
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, width, height);
+  drawGrid(ctx, width, height);
+
+  const hidden = stateManager.get('scope.hidden');
+  ctx.lineWidth = devicePixelRatio;
+  traces.forEach((trace, out) => {
+    if (!hidden.includes(out)) drawTrace(ctx, trace, scopeColor(out), width, height);
+  });
+  renderMeters();
+}
+
+// +10V at the top, -10V at the bottom
+function voltsToY(volts, height) {
+  return (1 - (volts + MAX_VOLTS) / (2 * MAX_VOLTS)) * height;
+}
+
+function drawGrid(ctx, width, height) {
+  ctx.strokeStyle = '#1a1a1a';
+  ctx.fillStyle = '#444';
+  ctx.lineWidth = 1;
+  ctx.font = `${9 * devicePixelRatio}px monospace`;
+  GRID_VOLTS.forEach(volts => {
+    // Keep the end lines and labels inside the canvas
+    const y = Math.min(height - 1, Math.max(1, voltsToY(volts, height)));
+    ctx.beginPath();
+    ctx.moveTo(0, y);
+    ctx.lineTo(width, y);
+    ctx.stroke();
+    ctx.textBaseline = volts > 0 ? 'top' : 'bottom';
+    ctx.fillText(`${volts > 0 ? '+' : ''}${volts}V`, 2, y);
+  });
+}
+
+// Oldest point on the left. Each point is drawn as a line from its max to its
+// min, so pulses shorter than a point still show at full height.
+function drawTrace(ctx, trace, color, width, height) {
+  ctx.strokeStyle = color;
+  ctx.beginPath();
+  for (let point = 0; point < WINDOW_POINTS; point++) {
+    const i = (head + point) % WINDOW_POINTS;
+    const x = point / (WINDOW_POINTS - 1) * width;
+    ctx.lineTo(x, voltsToY(trace.max[i], height));
+    ctx.lineTo(x, voltsToY(trace.min[i], height));
+  }
+  ctx.stroke();
+}
+
+function renderMeters() {
+  els.scopeMeters.querySelectorAll('[data-output]').forEach(meter => {
+    const volts = latest[meter.dataset.output];
+    const text = volts === undefined ? '—' : `${volts < 0 ? '' : '+'}${volts.toFixed(2)}V`;
+    const reading = meter.lastElementChild;
+    if (reading.textContent !== text) reading.textContent = text;
+  });
+}
@@ -1,14 +1,31 @@
-import { SEQUENCER_CONSTANTS } from './constants.js';
+import { SEQUENCER_CONSTANTS, MESSAGE_TYPES, TIMING_CONSTANTS, COUPLABLE_MODES, VELOCITY_CONSTANTS, DIRECTIONS, CLOCK_SOURCES, MIDI_CONSTANTS, EXT_CLOCK_CONSTANTS, MOD_TARGETS, MOD_CONSTANTS, UTILITY_SOURCES, SCOPE_CONSTANTS } from './constants.js';
+import { lfoOutput, wrapPhase } from './lfo.js';
+import { createRng, shuffleInPlace } from './random.js';
+import { getChannelScale, quantizePitch } from './scales.js';
+import { validateMessage } from './messageProtocol.js';
+import { evaluateCondition, isPreviousCondition } from './trigConditions.js';
+import { cycleSeconds, ticksPerStep } from './tempo.js';
+import { calibrateVolts, isIdentity } from './calibration.js';
 
-const { NUM_CHANNELS, NUM_SEQUENCER_CHANNELS, SAMPLE_RATE } = SEQUENCER_CONSTANTS;
+const { MAX_CHANNELS, SAMPLE_RATE } = SEQUENCER_CONSTANTS;
+const { MAX_OFFSET, DEFAULT_SWING } = TIMING_CONSTANTS;
+
+// Furthest an external clock can pull playback forward in one go
+const MAX_CATCH_UP_SAMPLES = SAMPLE_RATE / 20;
+const MAX_PULSE_INTERVAL_SAMPLES = EXT_CLOCK_CONSTANTS.MAX_PULSE_INTERVAL_S * SAMPLE_RATE;
+
+// Keeps the direction dice apart from the probability dice on the same seed
+const DIRECTION_SEED_OFFSET = 0x5bd1e995;
 
 // --- Audio Generation Helper Functions ---
 
 function generateTrigger(triggerState, durationSamples) {
   if (triggerState.active) {
-    if (triggerState.sampleCount < durationSamples) {
+    // A step's own gate length overrides the channel's duration, and ratchet
+    // repeats are kept short enough to leave a gap before the next one
+    if (triggerState.sampleCount < Math.min(triggerState.duration ?? durationSamples, triggerState.maxDuration)) {
       triggerState.sampleCount++;
-      return 1.0; // 1.0 represents +10V
+      return triggerState.level; // 1.0 represents +10V
     } else {
       triggerState.active = false;
     }
@@ -33,10 +50,60 @@ function generateRampCV(masterPhasor, polarity, amplitude) {
   return value;
 }
 
+function generateLfoCV(masterPhasor, lfoPhasor, channel) {
+  // Cycle-locked LFOs follow the master phasor; free-running ones use their own phasor
+  const basePhase = channel.rateMode === 'hz' ? lfoPhasor : masterPhasor * (channel.rate || 0);
+  return lfoOutput(wrapPhase(basePhase + (channel.phase || 0)), channel);
+}
+
+// Maps linear glide progress (0-1) onto the selected curve
+function shapeGlide(progress, curve) {
+  if (curve === 'exponential') {
+    return (1 - Math.exp(-5 * progress)) / (1 - Math.exp(-5));
+  }
+  return progress;
+}
+
+function generateShCV(sampledValue, minVoltage, maxVoltage) {
+  if (sampledValue === null) return 0.0;
+  const voltage = minVoltage + sampledValue * (maxVoltage - minVoltage);
+  return voltage / 10.0; // Scale volts to audio range
+}
+
+function generateVelocityCV(velocity, amplitude) {
+  return (velocity / VELOCITY_CONSTANTS.MAX) * amplitude / 10.0; // Scale volts to audio range
+}
+
+function generateCcCV(value, minVoltage, maxVoltage) {
+  const voltage = minVoltage + (value / MIDI_CONSTANTS.MAX_VALUE) * (maxVoltage - minVoltage);
+  return voltage / 10.0; // Scale volts to audio range
+}
+
+/**
+ * Schmitt trigger: true on the sample an input rises past the high threshold,
+ * after having fallen below the low one.
+ */
+function detectRisingEdge(edgeState, value) {
+  if (edgeState.high) {
+    if (value < EXT_CLOCK_CONSTANTS.LOW_THRESHOLD) edgeState.high = false;
+    return false;
+  }
+  if (value >= EXT_CLOCK_CONSTANTS.HIGH_THRESHOLD) {
+    edgeState.high = true;
+    return true;
+  }
+  return false;
+}
+
 // --- Timing Calculation Helpers ---
 
+// Pitch, S&H and velocity channels can follow the trigger channel above them
+function canCouple(channel) {
+  return COUPLABLE_MODES.includes(channel?.mode) && channel.isCoupled;
+}
+
 function calculateEffectiveSteps(channel, channelIndex, channels, defaultSubdivisions) {
-  if (channel.mode === 'pitch' && channel.isCoupled && channelIndex > 0) {
+  if (canCouple(channel) && channelIndex > 0) {
     const parent = channels[channelIndex - 1];
     if (parent?.mode === 'trigger') {
       return parent.steps || defaultSubdivisions;
@@ -46,7 +113,62 @@ function calculateEffectiveSteps(channel, channelIndex, channels, defaultSubdivi
 }
 
 function shouldUseParentTiming(channel, channelIndex, channels) {
-  return channel.mode === 'pitch' && channel.isCoupled && channelIndex > 0 && channels[channelIndex - 1]?.mode === 'trigger';
+  return canCouple(channel) && channelIndex > 0 && channels[channelIndex - 1]?.mode === 'trigger';
+}
+
+function wrapStep(step, length) {
+  return ((step % length) + length) % length;
+}
+
+// Forward and reverse play a fixed step in each slot, rotated to start from `rotation`
+function stepAtSlot(channel, slot, length) {
+  const index = channel.direction === DIRECTIONS.REVERSE ? length - 1 - slot : slot;
+  return wrapStep(index + (channel.rotation || 0), length);
+}
+
+function isFixedDirection(direction) {
+  return !direction || direction === DIRECTIONS.FORWARD || direction === DIRECTIONS.REVERSE;
+}
+
+// Swing delays every second slot (the even ones, counting from 1); 75% swing is half a step
+function swingDelay(slot, swing) {
+  return slot % 2 === 1 ? swing / 50 - 1 : 0;
+}
+
+/**
+ * How far a slot's start moves, as a fraction of a step. Swing belongs to the
+ * slot; offsets belong to the step, so they move with it when the direction
+ * fixes which step plays where, and stay with the slot otherwise.
+ */
+function slotShift(channel, slot, length, globalSwing, modShift) {
+  const step = isFixedDirection(channel.direction) ? stepAtSlot(channel, slot, length) : slot;
+  const shift = swingDelay(slot, channel.swing ?? globalSwing) + (channel.offsets?.[step] || 0) + modShift;
+  return Math.max(-MAX_OFFSET, Math.min(MAX_OFFSET, shift));
+}
+
+/**
+ * Finds the slot (position in the channel's loop) playing at a position in
+ * the pattern once swing and per-step offsets have moved the slot starts. No
+ * start moves by more than half a step, so only the neighbouring slots need
+ * checking.
+ * @param {number} position - Position in steps, 0 to length
+ * @param {number} length - Pattern length in steps
+ * @param {number} modShift - Offset CV moving every slot, in steps
+ * @returns {number} Slot index
+ */
+function findTimedSlot(position, length, channel, globalSwing, modShift = 0) {
+  const base = Math.floor(position);
+  let currentSlot = -1;
+  let latestStart = -Infinity;
+  for (let k = base - 1; k <= base + 1; k++) {
+    const slot = wrapStep(k, length);
+    const start = k + slotShift(channel, slot, length, globalSwing, modShift);
+    if (start <= position && start >= latestStart) {
+      currentSlot = slot;
+      latestStart = start;
+    }
+  }
+  return currentSlot;
 }
 
 class SequencerProcessor extends AudioWorkletProcessor {
@@ -55,34 +177,195 @@ class SequencerProcessor extends AudioWorkletProcessor {
     this.isPlaying = false;
     this.masterPhasor = 0.0;
     this.masterPhaseIncrement = 0.0;
-    this.channelPhasors = new Float64Array(NUM_SEQUENCER_CHANNELS).fill(0.0);
-    this.phaseIncrements = new Float64Array(NUM_SEQUENCER_CHANNELS).fill(0.0);
-    this.triggerStates = Array(NUM_CHANNELS).fill(null).map(() => ({ active: false, sampleCount: 0 }));
-    this.previousSteps = new Int16Array(NUM_CHANNELS).fill(-1);
+    this.channelPhasors = new Float64Array(MAX_CHANNELS).fill(0.0);
+    this.phaseIncrements = new Float64Array(MAX_CHANNELS).fill(0.0);
+    this.lfoPhasors = new Float64Array(MAX_CHANNELS).fill(0.0);
+    this.glideStates = Array(MAX_CHANNELS).fill(null).map(() => ({ from: 0, to: null, value: 0, progress: 1, increment: 1, slide: false }));
+    this.shStates = Array(MAX_CHANNELS).fill(null).map(() => ({ rng: null, values: [], current: null, seed: null, shMode: null }));
+    this.triggerStates = Array(MAX_CHANNELS).fill(null).map(() => ({ active: false, sampleCount: 0, level: 1.0, duration: null, maxDuration: Infinity }));
+    // Repeats still to fire for a ratcheted step, counted down in samples
+    this.ratchetStates = Array(MAX_CHANNELS).fill(null).map(() => ({ remaining: 0, interval: 0, countdown: 0, level: 1.0 }));
+    // Probability dice, loop count for trig conditions and the last conditional result, per channel
+    this.trigStates = Array(MAX_CHANNELS).fill(null).map(() => ({ rng: null, seed: null, loop: -1, previous: false }));
+    this.stepFired = new Uint8Array(MAX_CHANNELS); // Whether each channel's current step actually fired
+    this.velocityValues = new Float64Array(MAX_CHANNELS); // Held output of velocity channels, in percent
+    // CV modulation: routes from the state, and the latest sample of each input
+    this.modRoutes = [];
+    this.modInputs = new Float64Array(EXT_CLOCK_CONSTANTS.NUM_INPUTS);
+    // MIDI input: the pitch channel played live (its trigger channel above
+    // gets the gate), and the controller values of CC channels, raw and slewed
+    this.liveChannel = null;
+    this.liveGate = false;
+    this.ccValues = new Float64Array(MAX_CHANNELS);
+    this.ccOutputs = new Float64Array(MAX_CHANNELS);
+    this.tieHeld = new Uint8Array(MAX_CHANNELS); // Whether a tied step is holding the channel's gate open
+    this.fill = false;
+    this.tempo = null;
+    this.nudge = 0; // Speed change while a nudge is held, as a fraction
+    this.previousSlots = new Int16Array(MAX_CHANNELS).fill(-1);
+    this.resolvedSteps = new Int16Array(MAX_CHANNELS).fill(-1); // Step each channel is playing, after its direction
+    this.directionStates = Array(MAX_CHANNELS).fill(null).map(() => ({ rng: null, count: -1, step: 0 }));
     this.previousGlobalStep = -1;
+    this.clockPulses = new Float64Array(MAX_CHANNELS).fill(-1); // Last pulse of each clock channel in the cycle
+    this.queuedPattern = null; // { index, slot, songLoop } or { endOfSong: true }, applied on the next cycle wrap
+    this.currentPattern = 0; // Bank index of the playing pattern
+    // External clock: ticks received and ticks played since start, both counted
+    // from the start position in 24 PPQN ticks. Playback may run one pulse past the last one received.
+    this.clockSource = CLOCK_SOURCES.INTERNAL;
+    this.clockPeriod = null; // ms per tick of the incoming clock
+    this.clockTicks = -1;
+    this.tickPosition = 0;
+    this.ticksPerPulse = 1;
+    // Audio input clock
+    this.clockInput = 0;
+    this.resetInput = null;
+    this.ppqn = EXT_CLOCK_CONSTANTS.DEFAULT_PPQN;
+    this.edgeStates = { clock: { high: false }, reset: { high: false } };
+    this.samplesSincePulse = Infinity;
+    // Outgoing clock
+    this.sendClockTicks = false;
+    this.previousTick = -1;
+    this.frame = 0; // Audio frame of the sample being processed
+    // Output calibration, null where an output needs none, and the raw
+    // reference voltage sent on one output during guided tuning
+    this.calibrations = Array(MAX_CHANNELS).fill(null);
+    this.reference = null;
+    this.trackValues = new Float64Array(MAX_CHANNELS); // This sample's value of every track, before routing
+    this.scope = null; // Decimated output capture while the UI's scope is open
     this._applyState({});
 
-    this.port.onmessage = (event) => {
-      const { type, state } = event.data;
-      if (type === "start") {
-        this._applyState(state);
-        this.isPlaying = true;
-        this.masterPhasor = 0.0;
-        this.channelPhasors.fill(0.0);
-        this.previousSteps.fill(-1);
-        this.previousGlobalStep = -1;
-      } else if (type === "stop") {
-        this.isPlaying = false;
-        this.triggerStates.forEach(s => s.active = false);
-      } else if (type === "setState") {
-        this._applyState(state);
+    this.port.onmessage = (event) => this._handleMessage(event.data);
+  }
+
+  /**
+   * Validates and dispatches a message from the UI. Patches are applied in
+   * place, then timing and S&H generators are refreshed once, so running
+   * phasors and trigger states carry on undisturbed.
+   */
+  _handleMessage(message) {
+    const error = validateMessage(message);
+    if (error) {
+      console.error("Sequencer worklet rejected message:", error);
+      this.port.postMessage({ type: MESSAGE_TYPES.MESSAGE_ERROR, error });
+      return;
+    }
+
+    const { type, state } = message;
+    if (type === MESSAGE_TYPES.START) {
+      this._applyState(state);
+      this.isPlaying = true;
+      this.lfoPhasors.fill(0.0);
+      this.shStates.forEach(s => s.seed = null); // Reseed so every run is reproducible
+      this.trigStates.forEach(s => s.seed = null);
+      this._syncShStates();
+      this._syncTrigStates();
+      // A MIDI continue starts from a song position rather than the top
+      this._rewind(message.position ?? 0);
+      this.queuedPattern = null;
+    } else if (type === MESSAGE_TYPES.CLOCK_TICK) {
+      this._onClockTick(message.period);
+    } else if (type === MESSAGE_TYPES.STOP) {
+      this.isPlaying = false;
+      this.queuedPattern = null;
+      this.fill = false;
+      this.ratchetStates.forEach(s => s.remaining = 0);
+      this.triggerStates.forEach(s => s.active = false);
+      this.liveGate = false;
+    } else if (type === MESSAGE_TYPES.SET_STATE) {
+      this._applyState(state);
+    } else if (type === MESSAGE_TYPES.SET_CURRENT_PATTERN) {
+      this.currentPattern = message.index;
+    } else if (type === MESSAGE_TYPES.QUEUE_PATTERN) {
+      const { index, slot, endOfSong, songLoop } = message;
+      this.queuedPattern = endOfSong ? { endOfSong: true } : { index, slot, songLoop };
+    } else if (type === MESSAGE_TYPES.BATCH) {
+      message.messages.forEach(patch => this._applyPatch(patch));
+      this._refreshDerivedState();
+    } else {
+      this._applyPatch(message);
+      this._refreshDerivedState();
+    }
+  }
+
+  /**
+   * Applies a single patch message to the current state.
+   */
+  _applyPatch(message) {
+    const { type, channel } = message;
+    if (type === MESSAGE_TYPES.UPDATE_PATTERN) {
+      if (!this.pattern[channel]) this.pattern[channel] = [];
+      this.pattern[channel][message.step] = message.active;
+    } else if (type === MESSAGE_TYPES.SET_CHANNEL_PATTERN) {
+      this.pattern[channel] = message.pattern;
+    } else if (type === MESSAGE_TYPES.UPDATE_PITCH) {
+      // The sounding pitch changes on the next step, as if the whole state had been sent
+      const config = this.channels[channel];
+      if (config?.pitches) config.pitches[message.step] = message.pitch;
+    } else if (type === MESSAGE_TYPES.SET_CHANNEL_PARAM) {
+      if (!this.channels[channel]) return;
+      this.channels[channel][message.param] = message.value;
+      this.scales[channel] = getChannelScale(this.channels[channel]);
+    } else if (type === MESSAGE_TYPES.SET_CHANNEL_MODE) {
+      const oldChannel = this.channels[channel];
+      const config = { ...message.config };
+      // Preserve currentPitch so a pitch channel doesn't jump until its next step
+      if (oldChannel?.currentPitch !== undefined && config.mode === 'pitch') {
+        config.currentPitch = oldChannel.currentPitch;
       }
-    };
+      this.channels[channel] = config;
+      this.scales[channel] = getChannelScale(config);
+    } else if (type === MESSAGE_TYPES.SET_CYCLE_TIME) {
+      this.cycleTime = message.value;
+    } else if (type === MESSAGE_TYPES.SET_SUBDIVISIONS) {
+      this.subdivisions = message.value;
+    } else if (type === MESSAGE_TYPES.SET_SWING) {
+      this.swing = message.value;
+    } else if (type === MESSAGE_TYPES.SET_FILL) {
+      this.fill = message.active;
+    } else if (type === MESSAGE_TYPES.SET_TEMPO) {
+      this.tempo = message.tempo;
+    } else if (type === MESSAGE_TYPES.SET_NUDGE) {
+      this.nudge = message.value;
+    } else if (type === MESSAGE_TYPES.SET_CLOCK) {
+      this._applyClock(message);
+    } else if (type === MESSAGE_TYPES.SET_MODULATION) {
+      this.modRoutes = message.routes;
+    } else if (type === MESSAGE_TYPES.SET_LIVE_CHANNEL) {
+      this._playLiveNote(null);
+      this.liveChannel = message.channel;
+    } else if (type === MESSAGE_TYPES.LIVE_NOTE) {
+      this._playLiveNote(message.pitch, message.velocity);
+    } else if (type === MESSAGE_TYPES.SET_CC) {
+      this.ccValues[message.channel] = message.value;
+    } else if (type === MESSAGE_TYPES.SET_ROUTING) {
+      this.routing = message.routing;
+    } else if (type === MESSAGE_TYPES.SET_CALIBRATION) {
+      this.calibrations = this.calibrations.map((_, ch) => {
+        const calibration = message.outputs[ch];
+        return isIdentity(calibration) ? null : calibration;
+      });
+      this.reference = message.reference;
+    } else if (type === MESSAGE_TYPES.SET_SCOPE) {
+      // The buffers are sized on the next sample, once the output count is known
+      this.scope = message.enabled ? { min: null, max: null, samples: 0, point: 0 } : null;
+    }
+  }
+
+  // Step lengths, coupling and S&H lengths can all depend on a patched field
+  _refreshDerivedState() {
+    this._recalculateTiming();
+    this._syncShStates();
+    this._syncTrigStates();
   }
 
   _applyState(state = {}) {
     this.subdivisions = state.subdivisions || 16;
     this.cycleTime = state.cycleTime || 2.0;
+    this.swing = state.swing ?? DEFAULT_SWING;
+    this.tempo = state.tempo ?? null;
+    if (state.clock) this._applyClock({ ...state.clock, sendTicks: state.clock.sendMidi });
+    this.modRoutes = state.modulation || [];
+    this.routing = state.routing || Array.from({ length: MAX_CHANNELS }, (_, i) => i);
     
     // Preserve currentPitch values when updating channels
     if (state.channels) {
@@ -100,16 +383,401 @@ class SequencerProcessor extends AudioWorkletProcessor {
     }
     
     this.pattern = state.pattern || [];
+    this.currentPattern = state.currentPattern ?? 0;
+    this.scales = this.channels.map(getChannelScale); // Resolved once here, not per sample
     this._recalculateTiming();
+    this._syncShStates();
+    this._syncTrigStates();
+  }
+
+  // Reseeds a trigger channel's probability dice when its seed changes
+  _syncTrigStates() {
+    for (let ch = 0; ch < MAX_CHANNELS; ch++) {
+      const channel = this.channels[ch];
+      const trigState = this.trigStates[ch];
+      if (channel?.mode !== 'trigger' || trigState.seed === channel.seed) continue;
+      trigState.seed = channel.seed;
+      trigState.rng = createRng(channel.seed ?? 0);
+    }
+  }
+
+  /**
+   * Decides whether an active trigger step fires this time round, from its
+   * trig condition and probability. Steps with either one record the result
+   * for later "pre" conditions.
+   */
+  _shouldFire(ch, channel, step) {
+    const trigState = this.trigStates[ch];
+    const condition = channel.conditions?.[step] ?? null;
+    const modulation = this._modulation(ch, MOD_TARGETS.PROBABILITY) ?? 0;
+    const probability = Math.max(0, Math.min(100, (channel.probabilities?.[step] ?? 100) + modulation));
+
+    let fires = evaluateCondition(condition, { loop: trigState.loop, fill: this.fill, previous: trigState.previous });
+    if (fires && probability < 100) fires = trigState.rng() * 100 < probability;
+
+    if ((condition !== null || probability < 100) && !isPreviousCondition(condition)) {
+      trigState.previous = fires;
+    }
+    return fires;
+  }
+
+  /**
+   * Starts a trigger pulse at the given level (1.0 = +10V), lasting `duration`
+   * samples or, when null, the channel's own duration.
+   */
+  _fireTrigger(ch, level = 1.0, duration = null) {
+    const triggerState = this.triggerStates[ch];
+    triggerState.active = true;
+    triggerState.sampleCount = 0;
+    triggerState.level = level;
+    triggerState.duration = duration;
+  }
+
+  /**
+   * Gate length of a trigger step in samples. Tied steps stay open until the
+   * next step decides whether to carry on; null uses the channel's triggerDuration.
+   */
+  _gateSamples(channel, step) {
+    if (channel.ties?.[step]) return Infinity;
+    const gate = channel.gates?.[step];
+    return gate == null ? null : Math.max(1, Math.round(gate / 100 * this.stepSamples));
+  }
+
+  /**
+   * Fires a trigger step, scheduling the rest of its ratchet repeats evenly
+   * across the step. With velocityToGate the gate height follows the step's velocity.
+   */
+  _fireStep(ch, channel, step) {
+    const count = channel.ratchets?.[step] || 1;
+    const level = channel.velocityToGate ? (channel.velocities?.[step] ?? VELOCITY_CONSTANTS.MAX) / VELOCITY_CONSTANTS.MAX : 1.0;
+    const ratchet = this.ratchetStates[ch];
+    ratchet.remaining = count - 1;
+    ratchet.interval = this.stepSamples / count;
+    ratchet.countdown = ratchet.interval;
+    ratchet.level = level;
+    this.triggerStates[ch].maxDuration = count > 1 ? Math.max(1, Math.floor(ratchet.interval / 2)) : Infinity;
+    this._fireTrigger(ch, level, this._gateSamples(channel, step));
+  }
+
+  /**
+   * Pulses the utility channels that put out a source. End-of-cycle channels
+   * only pulse for the track they follow (null for the whole pattern).
+   */
+  _pulseUtilities(source, track = null) {
+    for (let ch = 0; ch < MAX_CHANNELS; ch++) {
+      const channel = this.channels[ch];
+      if (channel?.mode !== 'util' || channel.source !== source) continue;
+      if (source === UTILITY_SOURCES.EOC && (channel.track ?? null) !== track) continue;
+      this._fireTrigger(ch);
+    }
+  }
+
+  /**
+   * Plays a MIDI note on the live pitch channel. The gate of the trigger
+   * channel above opens on the first note and stays open while notes are
+   * held, so overlapping notes play legato.
+   * @param {number|null} pitch - Semitones, or null once every note is let go
+   * @param {number} velocity - MIDI velocity, for channels with velocityToGate
+   */
+  _playLiveNote(pitch, velocity = MIDI_CONSTANTS.MAX_VALUE) {
+    const ch = this.liveChannel;
+    if (ch === null) return;
+    const gateChannel = this.channels[ch - 1]?.mode === 'trigger' ? ch - 1 : null;
+
+    if (pitch === null) {
+      if (gateChannel !== null && this.liveGate) this.triggerStates[gateChannel].active = false;
+      this.liveGate = false;
+      return;
+    }
+
+    if (this.channels[ch]?.mode === 'pitch') {
+      this.channels[ch].currentPitch = pitch;
+      this.glideStates[ch].slide = false;
+    }
+    if (gateChannel !== null && !this.liveGate) {
+      const level = this.channels[gateChannel].velocityToGate ? velocity / MIDI_CONSTANTS.MAX_VALUE : 1.0;
+      this.ratchetStates[gateChannel].remaining = 0;
+      this.triggerStates[gateChannel].maxDuration = Infinity;
+      this._fireTrigger(gateChannel, level, Infinity);
+    }
+    this.liveGate = true;
+  }
+
+  /**
+   * Counts down pending ratchet repeats by one sample, firing any that are due.
+   */
+  _advanceRatchets() {
+    for (let ch = 0; ch < MAX_CHANNELS; ch++) {
+      const ratchet = this.ratchetStates[ch];
+      if (ratchet.remaining === 0) continue;
+      ratchet.countdown--;
+      if (ratchet.countdown > 0) continue;
+
+      ratchet.countdown += ratchet.interval; // Carry the fraction so repeats don't drift
+      ratchet.remaining--;
+      ratchet.level *= 1 - (this.channels[ch]?.ratchetDecay || 0);
+      // The last repeat of a tied step holds on into the next step
+      if (ratchet.remaining === 0 && this.tieHeld[ch]) this.triggerStates[ch].maxDuration = Infinity;
+      this._fireTrigger(ch, ratchet.level, this.triggerStates[ch].duration);
+    }
+  }
+
+  /**
+   * Closes a gate held open by a tied step.
+   */
+  _releaseTie(ch) {
+    if (!this.tieHeld[ch]) return;
+    this.tieHeld[ch] = 0;
+    this.triggerStates[ch].active = false;
+  }
+
+  /**
+   * (Re)seeds S&H generators whose seed, source or length changed.
+   * Untouched channels keep their sequence running.
+   */
+  _syncShStates() {
+    for (let ch = 0; ch < MAX_CHANNELS; ch++) {
+      const channel = this.channels[ch];
+      if (channel?.mode !== 'sh') continue;
+
+      const shState = this.shStates[ch];
+      const length = calculateEffectiveSteps(channel, ch, this.channels, this.subdivisions);
+      if (shState.seed === channel.seed && shState.shMode === channel.shMode && shState.values.length === length) continue;
+
+      shState.seed = channel.seed;
+      shState.shMode = channel.shMode;
+      shState.rng = createRng(channel.seed);
+      shState.current = null;
+      // The shuffle source draws its fixed set of values once, up front
+      shState.values = Array.from({ length }, () => shState.rng());
+    }
+  }
+
+  /**
+   * Samples a new value for an S&H channel at the given step.
+   * @returns {number} Sampled value in the range [0, 1)
+   */
+  _sampleAndHold(ch, step) {
+    const shState = this.shStates[ch];
+    if (this.channels[ch].shMode === 'shuf') {
+      // The set is permuted as the channel wraps, so sampling is just a lookup
+      shState.current = shState.values[step % shState.values.length];
+    } else {
+      shState.current = shState.rng();
+    }
+    return shState.current;
+  }
+
+  /**
+   * Moves a pitch channel's output towards its (quantized) target pitch,
+   * gliding only when the step that set the pitch is flagged as a slide.
+   * @returns {number} Output pitch in semitones
+   */
+  _glidePitch(ch, channel, target) {
+    const glide = this.glideStates[ch];
+
+    if (target !== glide.to) {
+      const isFirstPitch = glide.to === null;
+      glide.from = glide.value;
+      glide.to = target;
+      glide.progress = 0;
+
+      const slideTime = channel.slideTime || 0;
+      const glideSamples = channel.slideUnit === 'step' ? slideTime * this.stepSamples : slideTime / 1000 * SAMPLE_RATE;
+      glide.increment = glide.slide && !isFirstPitch && glideSamples >= 1 ? 1 / glideSamples : 1;
+    }
+
+    if (glide.progress < 1) {
+      glide.progress = Math.min(1, glide.progress + glide.increment);
+      glide.value = glide.from + (glide.to - glide.from) * shapeGlide(glide.progress, channel.slideCurve);
+    }
+    return glide.value;
+  }
+
+  /**
+   * Whether the trigger channel above a coupled channel fired on its current step.
+   * The parent is processed first, and coupled channels change step with it.
+   */
+  _parentTriggerActive(channelIndex) {
+    return this.channels[channelIndex - 1]?.mode === 'trigger' && Boolean(this.stepFired[channelIndex - 1]);
+  }
+
+  /**
+   * A channel's current slot with swing and micro-timing applied. Coupled
+   * channels follow the (shifted) slots of the trigger channel above.
+   */
+  _currentSlot(channelIndex) {
+    const source = shouldUseParentTiming(this.channels[channelIndex], channelIndex, this.channels) ? channelIndex - 1 : channelIndex;
+    const channel = this.channels[source];
+    if (!channel) return -1;
+    const patternLength = channel.steps || this.subdivisions;
+    const modShift = this._modulation(source, MOD_TARGETS.OFFSET);
+    const slot = findTimedSlot(this.channelPhasors[source] * patternLength, patternLength, channel, this.swing, modShift ?? 0);
+
+    // A rising offset CV can push the playing slot's start back past the
+    // playhead; hold the slot until the next one rather than replay the last
+    const previous = this.previousSlots[channelIndex];
+    if (modShift !== null && patternLength > 2 && previous >= 0 && slot === wrapStep(previous - 1, patternLength)) {
+      return previous;
+    }
+    return slot;
+  }
+
+  // Keeps the latest sample of every input a modulation route reads
+  _readModInputs(input, sampleIndex) {
+    for (const route of this.modRoutes) {
+      this.modInputs[route.input] = input?.[route.input]?.[sampleIndex] ?? 0;
+    }
+  }
+
+  /**
+   * Sum of the CV routed onto one param of a channel, in the target's own
+   * units (see MOD_CONSTANTS.PER_VOLT).
+   * @returns {number|null} Null when nothing is routed there
+   */
+  _modulation(ch, target) {
+    let sum = null;
+    for (const route of this.modRoutes) {
+      if (route.channel !== ch || route.target !== target) continue;
+      const volts = this.modInputs[route.input] * 10; // 1.0 = +10V
+      sum = (sum ?? 0) + volts * (route.amount / 100) * MOD_CONSTANTS.PER_VOLT[target];
+    }
+    return sum;
+  }
+
+  /**
+   * Picks the step that plays in a new slot from the channel's direction.
+   * Coupled channels play whichever step their parent just picked.
+   */
+  _resolveStep(channelIndex, slot) {
+    const channel = this.channels[channelIndex];
+    if (shouldUseParentTiming(channel, channelIndex, this.channels)) return this.resolvedSteps[channelIndex - 1];
+
+    const length = channel.steps || this.subdivisions;
+    const rotation = channel.rotation || 0;
+    const state = this.directionStates[channelIndex];
+    state.count++;
+
+    switch (channel.direction) {
+      case DIRECTIONS.PING_PONG: {
+        const period = Math.max(1, 2 * length - 2);
+        const position = state.count % period;
+        return wrapStep((position < length ? position : period - position) + rotation, length);
+      }
+      case DIRECTIONS.RANDOM:
+        return Math.floor(state.rng() * length);
+      case DIRECTIONS.BROWNIAN:
+        state.step = state.count === 0 ? wrapStep(rotation, length) : wrapStep(state.step + Math.floor(state.rng() * 3) - 1, length);
+        return state.step;
+      default:
+        return stepAtSlot(channel, slot, length);
+    }
+  }
+
+  /**
+   * Rewinds every channel to the top of its pattern, or to a position in
+   * steps. When the starting slot is nudged late it hasn't started yet, so the
+   * slot before it is marked as already played rather than fired.
+   */
+  _resetStepPositions(position = 0) {
+    this.stepFired.fill(0);
+    for (let i = 0; i < MAX_CHANNELS; i++) this._releaseTie(i);
+    this.trigStates.forEach(s => {
+      s.loop = -1; // Becomes 0, the first loop, when step 0 starts
+      s.previous = false;
+    });
+    for (let i = 0; i < MAX_CHANNELS; i++) {
+      const length = calculateEffectiveSteps(this.channels[i] || {}, i, this.channels, this.subdivisions);
+      this.channelPhasors[i] = (position % length) / length;
+      this.previousSlots[i] = -1;
+    }
+    for (let i = 0; i < MAX_CHANNELS; i++) {
+      const length = calculateEffectiveSteps(this.channels[i] || {}, i, this.channels, this.subdivisions);
+      const slot = this._currentSlot(i);
+      this.previousSlots[i] = slot === position % length ? -1 : slot;
+      // Directions start over, so random ones replay from the seed
+      const state = this.directionStates[i];
+      state.count = -1;
+      state.rng = createRng((this.channels[i]?.seed ?? 0) + DIRECTION_SEED_OFFSET);
+    }
+  }
+
+  // Where the tempo comes from, and whether to send clock ticks to the UI for MIDI out
+  _applyClock({ source, sendTicks, input, ppqn, resetInput }) {
+    this.clockSource = source;
+    this.sendClockTicks = sendTicks;
+    this.clockInput = input ?? this.clockInput;
+    this.ppqn = ppqn ?? this.ppqn;
+    this.resetInput = resetInput === undefined ? this.resetInput : resetInput;
+    // MIDI clock is itself 24 PPQN; pulses on an input may be much coarser
+    this.ticksPerPulse = source === CLOCK_SOURCES.AUDIO ? MIDI_CONSTANTS.PPQN / this.ppqn : 1;
+  }
+
+  /**
+   * Moves playback to a position in steps. Under an external clock nothing
+   * plays until the next pulse, which lands on that position.
+   */
+  _rewind(position) {
+    this.masterPhasor = (position % this.subdivisions) / this.subdivisions;
+    this._resetStepPositions(position);
+    this.previousGlobalStep = -1;
+    this.clockPulses.fill(-1);
+    this.previousTick = -1;
+    this.tickPosition = position * ticksPerStep(this.tempo);
+    this.clockTicks = this.tickPosition - this.ticksPerPulse;
+  }
+
+  /**
+   * Follows the tempo of an external clock, given as smoothed ms per 24 PPQN
+   * tick (null while still unknown). While playing, each pulse lets playback
+   * run on to the next one.
+   */
+  _onClockTick(period) {
+    if (period) this.clockPeriod = period;
+    if (this.clockSource === CLOCK_SOURCES.INTERNAL) return;
+    this._recalculateTiming();
+    if (this.isPlaying) this.clockTicks += this.ticksPerPulse;
+  }
+
+  /**
+   * Watches the audio inputs for clock and reset pulses. A reset rewinds to
+   * the top so that the next clock pulse plays step 1.
+   */
+  _readClockInputs(input, sampleIndex) {
+    if (this.resetInput !== null && detectRisingEdge(this.edgeStates.reset, input?.[this.resetInput]?.[sampleIndex] ?? 0)) {
+      if (this.isPlaying) this._rewind(0);
+    }
+
+    this.samplesSincePulse++;
+    if (!detectRisingEdge(this.edgeStates.clock, input?.[this.clockInput]?.[sampleIndex] ?? 0)) return;
+
+    const interval = this.samplesSincePulse;
+    this.samplesSincePulse = 0;
+    let period = null;
+    if (interval <= MAX_PULSE_INTERVAL_SAMPLES) {
+      const pulsePeriod = (interval / SAMPLE_RATE) * 1000 / this.ticksPerPulse;
+      period = this.clockPeriod ? this.clockPeriod + (pulsePeriod - this.clockPeriod) * EXT_CLOCK_CONSTANTS.TEMPO_SMOOTHING : pulsePeriod;
+    }
+    this._onClockTick(period);
+  }
+
+  // Cycle length in seconds: set by cycleTime, or by the tempo of an external clock
+  _cycleSeconds() {
+    if (this.clockSource !== CLOCK_SOURCES.INTERNAL && this.clockPeriod) {
+      return this.clockPeriod * this.subdivisions * ticksPerStep(this.tempo) / 1000;
+    }
+    const seconds = cycleSeconds({ tempo: this.tempo, cycleTime: this.cycleTime, subdivisions: this.subdivisions });
+    return seconds / (1 + this.nudge);
   }
 
   _recalculateTiming() {
-    const globalCycleSamples = this.cycleTime * SAMPLE_RATE;
+    const globalCycleSamples = this._cycleSeconds() * SAMPLE_RATE;
     if (globalCycleSamples <= 0) return;
     
     this.masterPhaseIncrement = 1.0 / globalCycleSamples;
+    this.stepSamples = globalCycleSamples / this.subdivisions;
 
-    for (let i = 0; i < NUM_SEQUENCER_CHANNELS; i++) {
+    for (let i = 0; i < MAX_CHANNELS; i++) {
       const channel = this.channels[i] || {};
       const effectiveSteps = calculateEffectiveSteps(channel, i, this.channels, this.subdivisions);
       const channelCycleSamples = (globalCycleSamples / this.subdivisions) * effectiveSteps;
@@ -117,115 +785,315 @@ class SequencerProcessor extends AudioWorkletProcessor {
     }
   }
 
-  process(_inputs, outputs, _parameters) {
-    const output = outputs[0];
+  /**
+   * Called when the master phasor wraps: applies a queued pattern (or ends the song)
+   * exactly on the cycle boundary and tells the UI a new cycle has begun.
+   */
+  _onCycleWrap() {
+    const queued = this.queuedPattern;
+    this.queuedPattern = null;
 
-    // The main per-sample processing loop. All logic must be inside here.
-    for (let sampleIndex = 0; sampleIndex < 128; sampleIndex++) {
-      if (this.isPlaying) {
-        // --- 1. Advance all phasors for this single sample ---
-        this.masterPhasor += this.masterPhaseIncrement;
-        if (this.masterPhasor >= 1.0) this.masterPhasor -= 1.0;
+    if (queued?.endOfSong) {
+      this.isPlaying = false;
+      this.triggerStates.forEach(s => s.active = false);
+    }
+    // The last cycle of a song still ends, so these go out after the gates are cut
+    this._pulseUtilities(UTILITY_SOURCES.EOC);
+    if (queued?.endOfSong || queued?.songLoop) this._pulseUtilities(UTILITY_SOURCES.EOS);
 
-        for (let i = 0; i < NUM_SEQUENCER_CHANNELS; i++) {
-          this.channelPhasors[i] += this.phaseIncrements[i];
-          if (this.channelPhasors[i] >= 1.0) this.channelPhasors[i] -= 1.0;
-        }
+    if (queued?.endOfSong) {
+      this.port.postMessage({ type: MESSAGE_TYPES.SONG_END });
+      return;
+    }
 
-        // --- 2. Check for step changes based on the new phasor positions ---
-        const globalStep = Math.floor(this.masterPhasor * this.subdivisions);
-        if (globalStep !== this.previousGlobalStep) {
-          this.previousGlobalStep = globalStep;
-          if (this.channels[7]?.mode === "clock") {
-            this.triggerStates[7].active = true;
-            this.triggerStates[7].sampleCount = 0;
-          }
-          this.port.postMessage({ type: "stepChange", step: globalStep, channel: -1 });
-        }
+    // Queuing the playing pattern again, as a song with it in consecutive entries
+    // does, leaves it running: its slot is older than the edits patched in since
+    if (queued && queued.index !== this.currentPattern) {
+      this._applyPatternSlot(queued.slot);
+      this.currentPattern = queued.index;
+      // The new pattern starts from its first step on every channel, which ends every track's cycle
+      this._resetStepPositions();
+      for (let i = 0; i < MAX_CHANNELS; i++) this._pulseUtilities(UTILITY_SOURCES.EOC, i);
+    }
+    if (queued) {
+      this.port.postMessage({ type: MESSAGE_TYPES.PATTERN_CHANGE, index: queued.index });
+    }
 
-        for (let i = 0; i < NUM_SEQUENCER_CHANNELS; i++) {
-          const channel = this.channels[i];
-          
-          // Calculate step position based on coupling
-          let patternLength, currentStep;
-          if (shouldUseParentTiming(channel, i, this.channels)) {
-            const parent = this.channels[i - 1];
-            patternLength = parent.steps || this.subdivisions;
-            currentStep = Math.floor(this.channelPhasors[i-1] * patternLength);
-          } else {
-            patternLength = channel.steps || this.subdivisions;
-            currentStep = Math.floor(this.channelPhasors[i] * patternLength);
-          }
+    this.port.postMessage({ type: MESSAGE_TYPES.CYCLE_WRAP });
+  }
 
-          if (currentStep !== this.previousSteps[i]) {
-            this.previousSteps[i] = currentStep;
-            
-            if (channel.mode === 'pitch') {
-              // Initialize currentPitch if it doesn't exist
-              if (channel.currentPitch === undefined) {
-                channel.currentPitch = 0;
-              }
-              
-              if (channel.isCoupled && i > 0) {
-                const parent = this.channels[i - 1];
-                if (parent?.mode === 'trigger') {
-                  const parentPatternLength = parent.steps || this.subdivisions;
-                  const parentStep = Math.floor(this.channelPhasors[i-1] * parentPatternLength);
-                  if (this.pattern[i-1]?.[parentStep]) {
-                    const newPitch = channel.pitches?.[currentStep];
-                    if (newPitch !== null && newPitch !== undefined) {
-                      channel.currentPitch = newPitch;
-                    }
-                  }
-                }
-              } else {
-                // Uncoupled pitch channel - update on every step
-                const newPitch = channel.pitches?.[currentStep];
-                if (newPitch !== null && newPitch !== undefined) {
-                  channel.currentPitch = newPitch;
-                }
+  /**
+   * Replaces the pattern and per-step channel data, leaving channel settings alone.
+   */
+  _applyPatternSlot(slot) {
+    this.pattern = slot.pattern;
+    slot.channels.forEach((data, i) => {
+      if (this.channels[i]) Object.assign(this.channels[i], data);
+    });
+    this._recalculateTiming();
+    this._syncShStates();
+  }
+
+  /**
+   * Advances the transport by one sample: phasors first, then step changes.
+   */
+  _advanceSample() {
+    // --- 1. Advance all phasors for this single sample ---
+    this.masterPhasor += this.masterPhaseIncrement;
+    if (this.masterPhasor >= 1.0) {
+      this.masterPhasor -= 1.0;
+      this._onCycleWrap();
+      if (!this.isPlaying) return;
+    }
+
+    for (let i = 0; i < MAX_CHANNELS; i++) {
+      this.channelPhasors[i] += this.phaseIncrements[i];
+      if (this.channelPhasors[i] >= 1.0) this.channelPhasors[i] -= 1.0;
+    }
+
+    for (let ch = 0; ch < MAX_CHANNELS; ch++) {
+      const channel = this.channels[ch];
+      if (channel?.mode === 'lfo' && channel.rateMode === 'hz') {
+        this.lfoPhasors[ch] = wrapPhase(this.lfoPhasors[ch] + (channel.rate || 0) / SAMPLE_RATE);
+      }
+    }
+
+    this._advanceRatchets();
+    this._advanceClocks();
+
+    if (this.sendClockTicks) {
+      const tick = Math.floor(this.masterPhasor * this.subdivisions * ticksPerStep(this.tempo));
+      if (tick !== this.previousTick) {
+        this.previousTick = tick;
+        this.port.postMessage({ type: MESSAGE_TYPES.CLOCK_OUT, time: this.frame / SAMPLE_RATE });
+      }
+    }
+
+    // --- 2. Check for step changes based on the new phasor positions ---
+    const globalStep = Math.floor(this.masterPhasor * this.subdivisions);
+    if (globalStep !== this.previousGlobalStep) {
+      this.previousGlobalStep = globalStep;
+      if (globalStep === 0) this._pulseUtilities(UTILITY_SOURCES.RESET);
+      this.port.postMessage({ type: MESSAGE_TYPES.STEP_CHANGE, step: globalStep, channel: -1 });
+    }
+
+    for (let i = 0; i < MAX_CHANNELS; i++) {
+      const channel = this.channels[i];
+      if (!channel) continue;
+      
+      // Slot position follows the parent when coupled, and is moved by swing and offsets
+      const slot = this._currentSlot(i);
+
+      if (slot !== this.previousSlots[i]) {
+        // Back to the first slot, unless playback has only just got there
+        if (slot === 0 && this.previousSlots[i] !== -1) {
+          this._pulseUtilities(UTILITY_SOURCES.EOC, i);
+          // The shuffle source plays a new permutation every cycle, whether or not anything samples
+          if (channel.mode === 'sh' && channel.shMode === 'shuf') shuffleInPlace(this.shStates[i].values, this.shStates[i].rng);
+        }
+        this.previousSlots[i] = slot;
+        const currentStep = this._resolveStep(i, slot);
+        this.resolvedSteps[i] = currentStep;
+        
+        // A channel played from MIDI ignores its steps, as does the trigger channel gating it
+        if (channel.mode === 'pitch' && i !== this.liveChannel) {
+          // Initialize currentPitch if it doesn't exist
+          if (channel.currentPitch === undefined) {
+            channel.currentPitch = 0;
+          }
+          
+          if (channel.isCoupled && i > 0) {
+            if (this._parentTriggerActive(i)) {
+              const newPitch = channel.pitches?.[currentStep];
+              if (newPitch !== null && newPitch !== undefined) {
+                channel.currentPitch = newPitch;
+                this.glideStates[i].slide = Boolean(channel.slides?.[currentStep]);
               }
             }
-            
-            if (channel.mode === 'trigger' && this.pattern[i]?.[currentStep]) {
-              this.triggerStates[i].active = true;
-              this.triggerStates[i].sampleCount = 0;
+          } else {
+            // Uncoupled pitch channel - update on every step
+            const newPitch = channel.pitches?.[currentStep];
+            if (newPitch !== null && newPitch !== undefined) {
+              channel.currentPitch = newPitch;
+              this.glideStates[i].slide = Boolean(channel.slides?.[currentStep]);
             }
-            
-            this.port.postMessage({ type: "stepChange", channel: i, step: currentStep });
           }
         }
+        
+        if (channel.mode === 'sh') {
+          // Coupled S&H is clocked by the trigger above, otherwise by its own active steps
+          const shouldSample = shouldUseParentTiming(channel, i, this.channels) ? this._parentTriggerActive(i) : this.pattern[i]?.[currentStep];
+          if (shouldSample) {
+            const sampled = this._sampleAndHold(i, currentStep);
+            const voltage = channel.minVoltage + sampled * (channel.maxVoltage - channel.minVoltage);
+            this.port.postMessage({ type: MESSAGE_TYPES.SH_SAMPLE, channel: i, step: currentStep, value: voltage });
+          }
+        }
+
+        if (channel.mode === 'velocity' && this._parentTriggerActive(i)) {
+          // Holds the velocity of the last step that fired above
+          this.velocityValues[i] = this.channels[i - 1].velocities?.[currentStep] ?? VELOCITY_CONSTANTS.DEFAULT;
+        }
+
+        if (channel.mode === 'trigger' && i + 1 !== this.liveChannel) {
+          if (slot === 0) this.trigStates[i].loop++;
+          this.stepFired[i] = this.pattern[i]?.[currentStep] && this._shouldFire(i, channel, currentStep) ? 1 : 0;
+          if (this.stepFired[i]) {
+            // Firing straight out of a tie keeps the gate high: a legato step
+            this._fireStep(i, channel, currentStep);
+          } else {
+            this.ratchetStates[i].remaining = 0; // A new step cuts off the previous step's repeats
+            this._releaseTie(i);
+          }
+          this.tieHeld[i] = this.stepFired[i] && channel.ties?.[currentStep] ? 1 : 0;
+        }
+        
+        this.port.postMessage({ type: MESSAGE_TYPES.STEP_CHANGE, channel: i, step: currentStep });
+      }
+    }
+  }
+
+  /**
+   * Pulses clock channels at their ratio of the step rate. The count starts
+   * over with every cycle, so divided clocks stay in line with the pattern.
+   */
+  _advanceClocks() {
+    for (let ch = 0; ch < MAX_CHANNELS; ch++) {
+      const channel = this.channels[ch];
+      if (channel?.mode !== 'clock') continue;
+      const { multiply, divide } = channel.ratio ?? { multiply: 1, divide: 1 };
+      const pulse = Math.floor(this.masterPhasor * this.subdivisions * multiply / divide);
+      if (pulse === this.clockPulses[ch]) continue;
+      this.clockPulses[ch] = pulse;
+      this._fireTrigger(ch);
+    }
+  }
+
+  /**
+   * Advances one sample behind an external clock: never more than a tick
+   * ahead of the last tick received, and catching up at once when behind.
+   */
+  _advanceClocked() {
+    const tickIncrement = this.masterPhaseIncrement * this.subdivisions * ticksPerStep(this.tempo);
+    if (tickIncrement <= 0) return;
+
+    for (let i = 0; i < MAX_CATCH_UP_SAMPLES && this.isPlaying && this.tickPosition + tickIncrement <= this.clockTicks; i++) {
+      this._advanceSample();
+      this.tickPosition += tickIncrement;
+    }
+    if (this.isPlaying && this.tickPosition + tickIncrement <= this.clockTicks + this.ticksPerPulse) {
+      this._advanceSample();
+      this.tickPosition += tickIncrement;
+    }
+  }
+
+  /**
+   * Keeps the min and max volts of every output over each DECIMATION samples,
+   * so a trigger shorter than that still shows, and posts them BLOCK_POINTS
+   * at a time with the latest volts for the meters. Reads the outputs after
+   * routing and calibration, as they leave for the interface.
+   */
+  _captureScope(output, sampleIndex) {
+    const { DECIMATION, BLOCK_POINTS } = SCOPE_CONSTANTS;
+    const scope = this.scope;
+    if (!scope.min) {
+      scope.min = new Float32Array(output.length * BLOCK_POINTS);
+      scope.max = new Float32Array(output.length * BLOCK_POINTS);
+    }
+
+    for (let out = 0; out < output.length; out++) {
+      const volts = output[out][sampleIndex] * 10;
+      const i = out * BLOCK_POINTS + scope.point;
+      if (scope.samples === 0 || volts < scope.min[i]) scope.min[i] = volts;
+      if (scope.samples === 0 || volts > scope.max[i]) scope.max[i] = volts;
+    }
+    if (++scope.samples < DECIMATION) return;
+    scope.samples = 0;
+    if (++scope.point < BLOCK_POINTS) return;
+    scope.point = 0;
+
+    const latest = output.map(channel => channel[sampleIndex] * 10);
+    // Posting copies the buffers, so they're reused for the next block
+    this.port.postMessage({ type: MESSAGE_TYPES.SCOPE_BLOCK, min: scope.min, max: scope.max, latest });
+  }
+
+  process(inputs, outputs, _parameters) {
+    const output = outputs[0];
+    const input = inputs[0];
+
+    // The main per-sample processing loop. All logic must be inside here.
+    for (let sampleIndex = 0; sampleIndex < 128; sampleIndex++) {
+      this.frame = currentFrame + sampleIndex;
+      if (this.clockSource === CLOCK_SOURCES.AUDIO) this._readClockInputs(input, sampleIndex);
+      if (this.modRoutes.length > 0) this._readModInputs(input, sampleIndex);
+      if (this.isPlaying) {
+        if (this.clockSource === CLOCK_SOURCES.INTERNAL) this._advanceSample();
+        else this._advanceClocked();
       }
 
-      // --- 3. Generate audio output for all 8 channels for this single sample ---
-      for (let ch = 0; ch < NUM_CHANNELS && ch < output.length; ch++) {
+      // --- 3. Generate every track for this single sample ---
+      for (let ch = 0; ch < MAX_CHANNELS; ch++) {
         const channelConfig = this.channels[ch];
-        if (!output[ch]) continue;
-        
         let value = 0.0;
         
-        // If channel is muted, output silence
-        if (channelConfig?.isMuted) {
-          output[ch][sampleIndex] = 0.0;
-          continue;
-        }
-        
-        switch(channelConfig?.mode) {
+        // A muted channel outputs silence, which still needs calibrating to read 0V
+        switch(channelConfig?.isMuted ? null : channelConfig?.mode) {
           case 'trigger':
             value = generateTrigger(this.triggerStates[ch], channelConfig.triggerDuration);
             break;
-          case 'pitch':
-            value = generatePitchCV(channelConfig.currentPitch);
+          case 'pitch': {
+            // Transpose CV moves in whole semitones, so the glide only restarts when the note changes
+            const pitch = (channelConfig.currentPitch || 0) + Math.round(this._modulation(ch, MOD_TARGETS.TRANSPOSE) ?? 0);
+            // Quantize at the output so every pitch source snaps to the scale, then glide between scale notes
+            value = generatePitchCV(this._glidePitch(ch, channelConfig, quantizePitch(pitch, this.scales[ch], channelConfig.scaleRoot || 0)));
             break;
+          }
           case 'clock':
             value = generateTrigger(this.triggerStates[ch], channelConfig.duration);
             break;
-          case 'ramp':
-            value = generateRampCV(this.masterPhasor, channelConfig.polarity, channelConfig.amplitude || 10);
+          case 'util':
+            value = channelConfig.source === UTILITY_SOURCES.RUN ?
+              (this.isPlaying ? 1.0 : 0.0) :
+              generateTrigger(this.triggerStates[ch], channelConfig.duration);
+            break;
+          case 'ramp': {
+            // CV scales the amplitude, up to the full 10V
+            const scale = Math.max(0, 1 + (this._modulation(ch, MOD_TARGETS.AMPLITUDE) ?? 0));
+            value = generateRampCV(this.masterPhasor, channelConfig.polarity, Math.min(10, (channelConfig.amplitude || 10) * scale));
+            break;
+          }
+          case 'lfo':
+            value = generateLfoCV(this.masterPhasor, this.lfoPhasors[ch], channelConfig);
+            break;
+          case 'sh':
+            value = generateShCV(this.shStates[ch].current, channelConfig.minVoltage, channelConfig.maxVoltage);
+            break;
+          case 'velocity':
+            value = generateVelocityCV(this.velocityValues[ch], channelConfig.amplitude ?? VELOCITY_CONSTANTS.DEFAULT_AMPLITUDE);
             break;
+          case 'cc':
+            this.ccOutputs[ch] += (this.ccValues[ch] - this.ccOutputs[ch]) * MIDI_CONSTANTS.CC_SMOOTHING;
+            value = generateCcCV(this.ccOutputs[ch], channelConfig.minVoltage ?? 0, channelConfig.maxVoltage ?? 10);
+            break;
+        }
+        this.trackValues[ch] = value;
+      }
+
+      // --- 4. Route tracks to the outputs ---
+      for (let out = 0; out < output.length; out++) {
+        // A tuning reference goes out as is, so the meter reads the uncorrected output
+        if (this.reference?.channel === out) {
+          output[out][sampleIndex] = this.reference.volts / 10;
+          continue;
         }
-        output[ch][sampleIndex] = value;
+
+        const track = this.routing[out];
+        const value = track == null ? 0.0 : this.trackValues[track];
+        // Calibration comes last, so it corrects whatever the output is sent
+        const calibration = this.calibrations[out];
+        output[out][sampleIndex] = calibration ? calibrateVolts(value * 10, calibration) / 10 : value;
       }
+      if (this.scope) this._captureScope(output, sampleIndex);
     }
     
     return true;
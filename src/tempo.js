@@ -0,0 +1,113 @@
+import { TEMPO_MODES, NOTE_VALUES, TEMPO_CONSTANTS, UTILITY_CONSTANTS, MIDI_CONSTANTS } from "./constants.js";
+
+/**
+ * Musical time: converts BPM, time signature and note value into the cycle
+ * length the sequencer runs on. BPM counts beats of the time signature's
+ * unit, so 6/8 at 120 is 120 eighth notes a minute. Also reads and writes
+ * the ratios clock channels run at against the steps.
+ * Safe to import from the audio worklet.
+ */
+
+/**
+ * Length of one step.
+ * @param {Object} tempo - The `tempo` state
+ * @returns {number} Seconds
+ */
+export function stepSeconds(tempo) {
+  const beatSeconds = 60 / tempo.bpm;
+  return beatSeconds * (NOTE_VALUES[tempo.noteValue] ?? NOTE_VALUES[TEMPO_CONSTANTS.DEFAULT_NOTE_VALUE]) * tempo.beatUnit;
+}
+
+/**
+ * Length of one cycle of the global pattern, in whichever mode is active.
+ * @param {{tempo: Object, cycleTime: number, subdivisions: number}} state
+ * @returns {number} Seconds
+ */
+export function cycleSeconds({ tempo, cycleTime, subdivisions }) {
+  if (tempo?.mode !== TEMPO_MODES.BPM) return cycleTime;
+  return stepSeconds(tempo) * subdivisions;
+}
+
+/**
+ * MIDI clock ticks in one step: 6 for sixteenths, 12 for eighths, 8 for
+ * eighth triplets. Steps are sixteenths unless BPM mode sets a note value.
+ * @param {Object} [tempo] - The `tempo` state
+ * @returns {number}
+ */
+export function ticksPerStep(tempo) {
+  const noteValue = tempo?.mode === TEMPO_MODES.BPM ? NOTE_VALUES[tempo.noteValue] ?? NOTE_VALUES[TEMPO_CONSTANTS.DEFAULT_NOTE_VALUE] : NOTE_VALUES["1/16"];
+  return MIDI_CONSTANTS.PPQN * 4 * noteValue;
+}
+
+/**
+ * Steps in one bar of the time signature, e.g. 16 for 4/4 in sixteenths.
+ * @param {Object} tempo - The `tempo` state
+ * @returns {number} Not always a whole number (5/4 in dotted eighths)
+ */
+export function stepsPerBar(tempo) {
+  return (tempo.beats / tempo.beatUnit) / (NOTE_VALUES[tempo.noteValue] ?? NOTE_VALUES[TEMPO_CONSTANTS.DEFAULT_NOTE_VALUE]);
+}
+
+/**
+ * The BPM at which a cycle of the given steps lasts the given time, so
+ * switching modes keeps the tempo where it was.
+ * @param {Object} tempo - The `tempo` state, for its time signature and note value
+ * @returns {number} BPM, rounded to a tenth and kept in range
+ */
+export function bpmForCycle(tempo, cycleTime, subdivisions) {
+  return clampBpm(stepSeconds({ ...tempo, bpm: 60 }) * subdivisions * 60 / cycleTime);
+}
+
+/**
+ * Tempo from tap times: the average interval between them is one beat.
+ * @param {number[]} times - Tap times in ms, oldest first
+ * @returns {number|null} BPM, or null until there are two taps
+ */
+export function bpmFromTaps(times) {
+  if (times.length < 2) return null;
+  const interval = (times[times.length - 1] - times[0]) / (times.length - 1);
+  return clampBpm(60000 / interval);
+}
+
+function clampBpm(bpm) {
+  return Math.max(TEMPO_CONSTANTS.MIN_BPM, Math.min(TEMPO_CONSTANTS.MAX_BPM, Math.round(bpm * 10) / 10));
+}
+
+/**
+ * Parses a time signature such as "7/8".
+ * @param {string} text
+ * @returns {{beats: number, beatUnit: number}|null} Null if it isn't one we can play
+ */
+export function parseTimeSignature(text) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(text);
+  if (!match) return null;
+  const beats = parseInt(match[1]);
+  const beatUnit = parseInt(match[2]);
+  if (beats < 1 || beats > TEMPO_CONSTANTS.MAX_BEATS || !TEMPO_CONSTANTS.BEAT_UNITS.includes(beatUnit)) return null;
+  return { beats, beatUnit };
+}
+
+/**
+ * Parses a clock ratio against the step rate: "x2" or "2" multiplies, "/4"
+ * divides, and "3/2" gives three pulses every two steps.
+ * @param {string} text
+ * @returns {{multiply: number, divide: number}|null} Null if it isn't one we can play
+ */
+export function parseClockRatio(text) {
+  const match = /^\s*(?:x?(\d+))?\s*(?:\/\s*(\d+))?\s*$/i.exec(text);
+  if (!match || (match[1] === undefined && match[2] === undefined)) return null;
+  const multiply = parseInt(match[1] ?? '1');
+  const divide = parseInt(match[2] ?? '1');
+  const isValid = value => value >= 1 && value <= UTILITY_CONSTANTS.MAX_RATIO;
+  return isValid(multiply) && isValid(divide) ? { multiply, divide } : null;
+}
+
+/**
+ * Formats a clock ratio the way parseClockRatio reads it.
+ * @param {{multiply: number, divide: number}} ratio
+ * @returns {string}
+ */
+export function formatClockRatio({ multiply, divide }) {
+  if (divide === 1) return `x${multiply}`;
+  return multiply === 1 ? `/${divide}` : `${multiply}/${divide}`;
+}
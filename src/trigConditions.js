@@ -0,0 +1,91 @@
+import { TRIG_CONDITIONS, TRIG_CONSTANTS } from "./constants.js";
+
+/**
+ * Elektron-style trig conditions for trigger steps.
+ * A condition is null (always), one of TRIG_CONDITIONS, or an "A:B" ratio
+ * that fires on the A-th of every B loops of the channel's pattern.
+ * Safe to import from the audio worklet.
+ */
+
+const { FIRST, NOT_FIRST, FILL, NOT_FILL, PREVIOUS, NOT_PREVIOUS } = TRIG_CONDITIONS;
+
+const CONDITION_LABELS = {
+  [FIRST]: "1st",
+  [NOT_FIRST]: "!1st",
+  [FILL]: "fill",
+  [NOT_FILL]: "!fill",
+  [PREVIOUS]: "pre",
+  [NOT_PREVIOUS]: "!pre",
+};
+
+/**
+ * Parses an "A:B" ratio condition.
+ * @param {string} condition
+ * @returns {{on: number, every: number}|null} Null if the condition isn't a valid ratio
+ */
+export function parseRatio(condition) {
+  const match = /^(\d+):(\d+)$/.exec(condition ?? "");
+  if (!match) return null;
+  const on = parseInt(match[1]);
+  const every = parseInt(match[2]);
+  if (every < 2 || every > TRIG_CONSTANTS.MAX_RATIO || on < 1 || on > every) return null;
+  return { on, every };
+}
+
+/**
+ * Whether a step's condition passes this time round.
+ * @param {string|null} condition
+ * @param {{loop: number, fill: boolean, previous: boolean}} context - `loop` counts
+ *   completed loops of the channel's pattern, `previous` is the result of the last
+ *   conditional step on the channel
+ * @returns {boolean}
+ */
+export function evaluateCondition(condition, { loop, fill, previous }) {
+  switch (condition) {
+    case null:
+    case undefined:
+      return true;
+    case FIRST: return loop === 0;
+    case NOT_FIRST: return loop !== 0;
+    case FILL: return fill;
+    case NOT_FILL: return !fill;
+    case PREVIOUS: return previous;
+    case NOT_PREVIOUS: return !previous;
+  }
+  const ratio = parseRatio(condition);
+  return ratio ? loop % ratio.every === ratio.on - 1 : true;
+}
+
+/**
+ * Whether a condition looks at the previous step's result (and so doesn't
+ * update it itself).
+ */
+export function isPreviousCondition(condition) {
+  return condition === PREVIOUS || condition === NOT_PREVIOUS;
+}
+
+/**
+ * Short label for a condition, as shown in the grid.
+ * @param {string|null} condition
+ * @returns {string}
+ */
+export function conditionLabel(condition) {
+  if (!condition) return "";
+  return CONDITION_LABELS[condition] ?? condition;
+}
+
+/**
+ * Every selectable condition, "always" first, then the named conditions and
+ * the ratios from 1:2 up to MAX_RATIO.
+ * @returns {Array<{value: string, label: string}>}
+ */
+export function getConditionOptions() {
+  const options = [{ value: "", label: "—" }];
+  Object.values(TRIG_CONDITIONS).forEach(value => options.push({ value, label: conditionLabel(value) }));
+  for (let every = 2; every <= TRIG_CONSTANTS.MAX_RATIO; every++) {
+    for (let on = 1; on <= every; on++) {
+      options.push({ value: `${on}:${every}`, label: `${on}:${every}` });
+    }
+  }
+  return options;
+}
@@ -1,13 +1,31 @@
 import { stateManager } from "./StateManager.js";
-import { MODE_ICONS } from "./constants.js";
+import { MODE_ICONS, LFO_WAVEFORMS, LFO_RATE_MODES, LFO_RANGES, SH_MODES, SCALES, SCALE_TYPES, NOTE_NAMES, GLIDE_UNITS, GLIDE_CURVES, RATCHET_CONSTANTS, VELOCITY_CONSTANTS, GATE_CONSTANTS, SEQUENCER_CONSTANTS, COUPLABLE_MODES, DIRECTIONS, GENERATOR_TYPES, GRIDS_PARTS, CLOCK_SOURCES, EXT_CLOCK_CONSTANTS, MOD_TARGETS, MOD_CONSTANTS, TEMPO_MODES, NOTE_VALUES, MIDI_NOTE_MODES, CALIBRATION_CONSTANTS, UTILITY_SOURCES } from "./constants.js";
+import { cycleSeconds, formatClockRatio } from "./tempo.js";
+import { lfoOutput, wrapPhase } from "./lfo.js";
+import { getChannelScale, quantizePitch, noteName } from "./scales.js";
+import { formatSongChain } from "./patternBank.js";
+import { conditionLabel, getConditionOptions } from "./trigConditions.js";
+import { clearScope, scheduleDraw, scopeColor } from "./scope.js";
 
 // --- DOM Element Cache ---
 
 export const els = {
   initBtn: null, playBtn: null, clearBtn: null, cycleTime: null,
+  tempoMode: null, secondsControls: null, bpmControls: null, bpm: null, timeSignature: null, noteValue: null,
+  tapBtn: null, nudgeDown: null, nudgeUp: null,
   subdivisions: null, gridDisplay: null, zoomIn: null, zoomOut: null,
   multiChannelView: null, status: null, info: null,
-  clockDuration: null, clockDurationMs: null, rampPolarity: null
+  presetSelect: null, savePresetBtn: null, deletePresetBtn: null, exportPresetBtn: null,
+  patternBank: null, songToggle: null, songChain: null, songLoop: null, songPosition: null,
+  swing: null, fillBtn: null,
+  clockSource: null, clockInput: null, clockPpqn: null, clockReset: null,
+  modAddBtn: null, modRoutes: null,
+  midiBtn: null, midiIn: null, midiOut: null, midiClockOut: null, midiLatency: null, midiTempo: null,
+  midiChannel: null, midiNoteMode: null, midiNoteChannel: null, midiRestBtn: null,
+  calProfile: null, calSaveBtn: null, calDeleteBtn: null, calChannel: null, calOffset: null, calScale: null,
+  calPoints: null, calClearBtn: null, calTuneBtn: null, calTuning: null, calTarget: null, calMeasured: null,
+  calNextBtn: null, calCancelBtn: null, routing: null,
+  scopeBtn: null, scopePanel: null, scopeCanvas: null, scopeMeters: null
 };
 
 /**
@@ -20,10 +38,18 @@ export function initUI() {
     if (!el) console.warn(`UI element not found: #${key}`);
     els[key] = el;
   });
+  els.noteValue.innerHTML = Object.keys(NOTE_VALUES).map(value => `<option value="${value}">${value}</option>`).join('');
+  renderClockOptions();
 }
 
 // --- Utility Functions ---
 
+// Text from files (a Scala description, say) goes into templates escaped, so it can't add markup
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
 function getChannelMode(channel) {
   return channel.mode;
 }
@@ -46,28 +72,429 @@ function createCoupleControl(ch, isCoupled) {
   return `<span class="param-label">⬆️:</span><input type="checkbox" class="couple-checkbox" data-channel="${ch}" data-param="isCoupled" ${checked} title="couple to channel above">`;
 }
 
+function createVelocityToGateControl(ch, velocityToGate) {
+  const checked = velocityToGate ? 'checked' : '';
+  return `<span class="param-label">v→g:</span><input type="checkbox" class="couple-checkbox" data-channel="${ch}" data-param="velocityToGate" ${checked} title="scale gate level by velocity">`;
+}
+
+function createSwingInput(ch, value, disabled = false) {
+  const disabledAttr = disabled ? 'disabled' : '';
+  return `
+    <span class="param-label">sw:</span>
+    <input type="text" class="param-input swing-input" data-channel="${ch}" data-param="swing" value="${value ?? ''}" placeholder="—" title="swing % (blank follows global)" ${disabledAttr}>
+  `;
+}
+
+function createSelect(ch, param, options, value, title, disabled = false) {
+  const optionsHTML = options
+    .map(opt => `<option value="${opt.value}" ${opt.value === value ? 'selected' : ''}>${opt.label}</option>`)
+    .join('');
+  const disabledAttr = disabled ? 'disabled' : '';
+  return `<select class="param-input" data-channel="${ch}" data-param="${param}" title="${title}" ${disabledAttr}>${optionsHTML}</select>`;
+}
+
+// Coupled channels play the steps their parent picks, so their direction is disabled
+function createDirectionControls(ch, channel, disabled = false) {
+  const disabledAttr = disabled ? 'disabled' : '';
+  return `
+    ${createSelect(ch, 'direction', DIRECTION_OPTIONS, channel.direction ?? DIRECTIONS.FORWARD, 'direction', disabled)}
+    <span class="param-label">r:</span>
+    <input type="text" class="param-input rot-input" data-channel="${ch}" data-param="rotation" value="${channel.rotation ?? 0}" title="rotation (start step)" ${disabledAttr}>
+  `;
+}
+
+const LFO_WAVEFORM_OPTIONS = [
+  { value: LFO_WAVEFORMS.SINE, label: 'sin' },
+  { value: LFO_WAVEFORMS.TRIANGLE, label: 'tri' },
+  { value: LFO_WAVEFORMS.SQUARE, label: 'sqr' },
+  { value: LFO_WAVEFORMS.RAMP, label: 'saw' },
+];
+
+const LFO_RATE_MODE_OPTIONS = [
+  { value: LFO_RATE_MODES.CYCLES, label: 'cyc' },
+  { value: LFO_RATE_MODES.HZ, label: 'Hz' },
+];
+
+const LFO_RANGE_OPTIONS = [
+  { value: LFO_RANGES.BIPOLAR, label: '±' },
+  { value: LFO_RANGES.UNIPOLAR, label: '+' },
+];
+
+const SH_MODE_OPTIONS = [
+  { value: SH_MODES.RANDOM, label: 'rand' },
+  { value: SH_MODES.SHUFFLE, label: 'shuf' },
+];
+
+const UTILITY_SOURCE_OPTIONS = [
+  { value: UTILITY_SOURCES.RESET, label: 'reset' },
+  { value: UTILITY_SOURCES.RUN, label: 'run' },
+  { value: UTILITY_SOURCES.EOC, label: 'eoc' },
+  { value: UTILITY_SOURCES.EOS, label: 'eos' },
+];
+
+const UTILITY_STATUS = {
+  [UTILITY_SOURCES.RESET]: 'RESET AT PATTERN START',
+  [UTILITY_SOURCES.RUN]: 'RUN GATE WHILE PLAYING',
+  [UTILITY_SOURCES.EOC]: 'END OF CYCLE',
+  [UTILITY_SOURCES.EOS]: 'END OF SONG',
+};
+
+const DIRECTION_OPTIONS = [
+  { value: DIRECTIONS.FORWARD, label: '→' },
+  { value: DIRECTIONS.REVERSE, label: '←' },
+  { value: DIRECTIONS.PING_PONG, label: '↔' },
+  { value: DIRECTIONS.RANDOM, label: 'rnd' },
+  { value: DIRECTIONS.BROWNIAN, label: 'walk' },
+];
+
+const GENERATOR_OPTIONS = [
+  { value: GENERATOR_TYPES.OFF, label: 'gen' },
+  { value: GENERATOR_TYPES.EUCLIDEAN, label: 'euc' },
+  { value: GENERATOR_TYPES.RANDOM, label: 'rnd' },
+  { value: GENERATOR_TYPES.GRIDS, label: 'grids' },
+];
+
+const GRIDS_PART_OPTIONS = [
+  { value: GRIDS_PARTS.KICK, label: 'bd' },
+  { value: GRIDS_PARTS.SNARE, label: 'sd' },
+  { value: GRIDS_PARTS.HAT, label: 'hh' },
+];
+
+const SCALE_OPTIONS = [
+  { value: SCALE_TYPES.OFF, label: 'off' },
+  ...Object.entries(SCALES).map(([value, scale]) => ({ value, label: scale.label })),
+  { value: SCALE_TYPES.CUSTOM, label: 'cust' },
+  { value: SCALE_TYPES.SCALA, label: '.scl' },
+];
+
+const ROOT_OPTIONS = NOTE_NAMES.map((name, value) => ({ value, label: name }));
+
+/**
+ * Generator type plus the settings of the selected type. Editing them
+ * rewrites the channel's pattern; ⟳ rewrites it again after hand edits.
+ */
+function createGeneratorControls(ch, generator) {
+  const typeSelect = createSelect(ch, 'generator.type', GENERATOR_OPTIONS, generator?.type ?? GENERATOR_TYPES.OFF, 'pattern generator');
+  if (!generator || generator.type === GENERATOR_TYPES.OFF) return typeSelect;
+
+  const input = (field, label, title) => `
+    <span class="param-label">${label}:</span>
+    <input type="text" class="param-input gen-input" data-channel="${ch}" data-param="generator.${field}" value="${generator[field]}" title="${title}">
+  `;
+  let fields = '';
+  if (generator.type === GENERATOR_TYPES.EUCLIDEAN) {
+    fields = input('hits', 'k', 'hits') + input('rotation', '↻', 'rotation');
+  } else if (generator.type === GENERATOR_TYPES.RANDOM) {
+    fields = input('density', 'd', 'density %') + input('seed', '#', 'random seed');
+  } else if (generator.type === GENERATOR_TYPES.GRIDS) {
+    fields = createSelect(ch, 'generator.part', GRIDS_PART_OPTIONS, generator.part, 'drum part') +
+      input('x', 'x', 'straight (0) to broken (100)') +
+      input('y', 'y', 'sparse (0) to busy (100)') +
+      input('density', 'd', 'density %');
+  }
+
+  const live = generator.live ? 'checked' : '';
+  return `
+    ${typeSelect}
+    ${fields}
+    <span class="param-label">live:</span>
+    <input type="checkbox" class="couple-checkbox" data-channel="${ch}" data-param="generator.live" ${live} title="regenerate when the step count changes">
+    <button class="mode-btn gen-btn" data-channel="${ch}" title="regenerate the pattern">⟳</button>
+  `;
+}
+
+function createScaleControls(ch, channel) {
+  const scale = channel.scale ?? SCALE_TYPES.OFF;
+  let extraHTML = '';
+  if (scale === SCALE_TYPES.CUSTOM) {
+    extraHTML = `<input type="text" class="param-input mask-input" data-channel="${ch}" data-param="scaleMask" value="${channel.scaleMask ?? SCALES.chromatic.mask}" title="semitone mask from the root (1 = in scale)">`;
+  } else if (scale === SCALE_TYPES.SCALA) {
+    const title = channel.scala ? `${channel.scala.name}: ${channel.scala.description}` : 'load .scl file';
+    extraHTML = `<button class="mode-btn scala-btn" data-channel="${ch}" title="${escapeHTML(title)}">📂</button>`;
+  }
+  return `
+    ${createSelect(ch, 'scale', SCALE_OPTIONS, scale, 'scale')}
+    ${createSelect(ch, 'scaleRoot', ROOT_OPTIONS, channel.scaleRoot ?? 0, 'root')}
+    ${extraHTML}
+  `;
+}
+
+const GLIDE_UNIT_OPTIONS = [
+  { value: GLIDE_UNITS.MS, label: 'ms' },
+  { value: GLIDE_UNITS.STEP, label: 'stp' },
+];
+
+const GLIDE_CURVE_OPTIONS = [
+  { value: GLIDE_CURVES.LINEAR, label: 'lin' },
+  { value: GLIDE_CURVES.EXPONENTIAL, label: 'exp' },
+];
+
+function createGlideControls(ch, channel) {
+  return `
+    <span class="param-label">gl:</span>
+    <input type="text" class="param-input glide-input" data-channel="${ch}" data-param="slideTime" value="${channel.slideTime ?? 0}" title="slide time (alt-click a cell to slide into it)">
+    ${createSelect(ch, 'slideUnit', GLIDE_UNIT_OPTIONS, channel.slideUnit ?? GLIDE_UNITS.MS, 'slide time unit')}
+    ${createSelect(ch, 'slideCurve', GLIDE_CURVE_OPTIONS, channel.slideCurve ?? GLIDE_CURVES.LINEAR, 'slide curve')}
+  `;
+}
+
+/**
+ * Shows the note a pitch cell will actually play (after quantization)
+ * underneath its semitone value.
+ */
+export function renderPitchNote(cell, channel) {
+  const label = cell.parentElement?.querySelector('.note-name');
+  if (!label) return;
+
+  const pitch = channel.pitches[parseInt(cell.dataset.step)];
+  if (pitch === null || pitch === undefined) {
+    label.textContent = '';
+    cell.title = '';
+    return;
+  }
+
+  const quantized = quantizePitch(pitch, getChannelScale(channel), channel.scaleRoot ?? 0);
+  label.textContent = noteName(quantized);
+  cell.title = quantized === pitch ? noteName(pitch) : `${pitch} → ${quantized.toFixed(2)} (${noteName(quantized)})`;
+}
+
+// Adds, updates or removes a small text label inside a grid cell
+function renderCellLabel(cell, className, text) {
+  let label = cell.querySelector(`.${className}`);
+  if (!text) {
+    label?.remove();
+    return;
+  }
+  if (!label) {
+    label = document.createElement('span');
+    label.className = className;
+    cell.appendChild(label);
+  }
+  label.textContent = text;
+}
+
+/**
+ * Gate length of a trigger step in percent of a step; steps without their own
+ * length use the channel's triggerDuration.
+ */
+function gatePercent(channel, step) {
+  const gate = channel.gates?.[step];
+  if (gate != null) return gate;
+  const stepSamples = cycleSeconds(stateManager.getState()) * SEQUENCER_CONSTANTS.SAMPLE_RATE / stateManager.get('subdivisions');
+  return Math.min(100, (channel.triggerDuration / stepSamples) * 100);
+}
+
+/**
+ * Draws a trigger step's extras: a tick for its micro-timing offset (left of
+ * centre for early, right for late), fading for probability below 100%, the
+ * label of its trig condition, its ratchet count and a bar along the top for
+ * its gate length, joined to the next cell when tied.
+ */
+function renderTriggerStep(cell, channel, step) {
+  const offset = channel.offsets?.[step] || 0;
+  const probability = channel.probabilities?.[step] ?? 100;
+  const condition = channel.conditions?.[step] ?? null;
+  const ratchets = channel.ratchets?.[step] || 1;
+  const velocity = channel.velocities?.[step] ?? VELOCITY_CONSTANTS.DEFAULT;
+  const gate = channel.gates?.[step] ?? null;
+  const isTied = Boolean(channel.ties?.[step]);
+
+  cell.classList.toggle('nudged', offset !== 0);
+  cell.style.setProperty('--offset', offset);
+  cell.classList.toggle('chance', probability < 100);
+  cell.style.setProperty('--probability', probability / 100);
+
+  renderCellLabel(cell, 'cond-label', conditionLabel(condition));
+  renderCellLabel(cell, 'ratchet-label', ratchets > 1 ? `×${ratchets}` : '');
+
+  let gateBar = cell.querySelector('.gate-bar');
+  if (!gateBar) {
+    gateBar = document.createElement('span');
+    gateBar.className = 'gate-bar';
+    cell.appendChild(gateBar);
+  }
+  gateBar.classList.toggle('tied', isTied);
+  gateBar.style.width = isTied ? '' : `${gatePercent(channel, step)}%`;
+
+  const details = [];
+  if (probability < 100) details.push(`${probability}%`);
+  if (condition) details.push(conditionLabel(condition));
+  if (ratchets > 1) details.push(`×${ratchets}`);
+  if (velocity !== VELOCITY_CONSTANTS.DEFAULT) details.push(`vel ${velocity}`);
+  if (isTied) details.push('tie');
+  else if (gate !== null) details.push(`gate ${gate}%`);
+  if (offset !== 0) details.push(`${offset > 0 ? '+' : ''}${Math.round(offset * 100)}% of a step`);
+  cell.title = details.join(' · ');
+}
+
+/**
+ * Opens the editor for a trigger step's probability and trig condition,
+ * just below its cell. Only one editor is open at a time.
+ * @param {number} ch - Channel index
+ * @param {number} step - Step index
+ */
+export function openStepEditor(ch, step) {
+  closeStepEditor();
+  const cell = els.multiChannelView.querySelector(`.pattern-step[data-channel="${ch}"][data-step="${step}"]`);
+  if (!cell) return;
+
+  const channel = stateManager.get(`channels.${ch}`);
+  const condition = channel.conditions?.[step] ?? '';
+  const options = getConditionOptions()
+    .map(opt => `<option value="${opt.value}" ${opt.value === condition ? 'selected' : ''}>${opt.label}</option>`)
+    .join('');
+
+  const editor = document.createElement('div');
+  editor.className = 'step-editor';
+  editor.dataset.channel = ch;
+  editor.dataset.step = step;
+  editor.innerHTML = `
+    <span class="param-label">${ch + 1}·${step + 1}</span>
+    <span class="param-label">%:</span>
+    <input type="text" class="param-input prob-input" data-param="probabilities" value="${channel.probabilities?.[step] ?? 100}" title="probability (0-100)">
+    <select class="param-input" data-param="conditions" title="trig condition">${options}</select>
+    <span class="param-label">×:</span>
+    <input type="text" class="param-input prob-input" data-param="ratchets" value="${channel.ratchets?.[step] ?? 1}" title="ratchets (1-${RATCHET_CONSTANTS.MAX})">
+    <span class="param-label">v:</span>
+    <input type="text" class="param-input prob-input" data-param="velocities" value="${channel.velocities?.[step] ?? VELOCITY_CONSTANTS.DEFAULT}" title="velocity (${VELOCITY_CONSTANTS.MIN}-${VELOCITY_CONSTANTS.MAX})">
+    <span class="param-label">g:</span>
+    <input type="text" class="param-input prob-input" data-param="gates" value="${channel.gates?.[step] ?? ''}" placeholder="—" title="gate length, % of a step (${GATE_CONSTANTS.MIN}-${GATE_CONSTANTS.MAX}, blank uses t)">
+    <span class="param-label">tie:</span>
+    <input type="checkbox" class="couple-checkbox" data-param="ties" ${channel.ties?.[step] ? 'checked' : ''} title="hold the gate into the next step">
+  `;
+
+  const rect = cell.getBoundingClientRect();
+  editor.style.left = `${rect.left + globalThis.scrollX}px`;
+  editor.style.top = `${rect.bottom + globalThis.scrollY + 4}px`;
+  document.body.appendChild(editor);
+  editor.querySelector('input').select();
+}
+
+/**
+ * Closes the step editor if it's open.
+ * @returns {boolean} Whether an editor was open
+ */
+export function closeStepEditor() {
+  const editor = document.querySelector('.step-editor');
+  editor?.remove();
+  return Boolean(editor);
+}
+
+/**
+ * Draws the velocity of the trigger step above as a bar filling the cell
+ * from the bottom.
+ */
+function renderVelocityStep(cell, velocity) {
+  let bar = cell.querySelector('.vel-bar');
+  if (!bar) {
+    bar = document.createElement('span');
+    bar.className = 'vel-bar';
+    cell.appendChild(bar);
+  }
+  const value = velocity ?? VELOCITY_CONSTANTS.DEFAULT;
+  bar.style.height = `${(value / VELOCITY_CONSTANTS.MAX) * 100}%`;
+  cell.title = `vel ${value}`;
+}
+
+/**
+ * Draws a held S&H voltage into a grid cell as a colour-coded bar
+ * (green above the centre line for positive, red below for negative).
+ */
+function renderShVoltage(cell, voltage) {
+  let bar = cell.querySelector('.sh-bar');
+  if (voltage === null || voltage === undefined) {
+    bar?.remove();
+    cell.title = '';
+    return;
+  }
+  if (!bar) {
+    bar = document.createElement('span');
+    bar.className = 'sh-bar';
+    cell.appendChild(bar);
+  }
+  bar.style.height = `${Math.min(Math.abs(voltage) / 10, 1) * 50}%`;
+  bar.classList.toggle('negative', voltage < 0);
+  cell.title = `${voltage.toFixed(2)}V`;
+}
+
+/**
+ * Draws one pattern cycle of an LFO as an inline SVG polyline.
+ */
+function createLfoPreview(channel, cycleTime) {
+  const width = 200;
+  const height = 20;
+  const points = [];
+  // Number of LFO cycles that fit into one pattern cycle
+  const cycles = channel.rateMode === LFO_RATE_MODES.HZ ? channel.rate * cycleTime : channel.rate;
+
+  for (let i = 0; i <= width; i += 2) {
+    const phase = wrapPhase((i / width) * cycles + (channel.phase || 0));
+    // Normalise against the channel's own amplitude so the preview always fills its box
+    const value = lfoOutput(phase, { ...channel, amplitude: 10 });
+    const y = (1 - (value + 1) / 2) * height;
+    points.push(`${i},${y.toFixed(1)}`);
+  }
+
+  return `<svg class="lfo-preview" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none"><polyline points="${points.join(' ')}" /></svg>`;
+}
+
 // --- Rendering Functions ---
 
 export function renderAll() {
   renderMultiChannelView();
-  renderUtilityControls();
+  renderGlobalControls();
+  renderClockControls();
+  renderMidiNoteControls();
+  renderModulation();
+  renderRouting();
+  renderCalibration();
+  renderScope();
+  renderPatternBank();
 }
 
-function renderUtilityControls() {
+// Global params in the transport, skipping whichever one is being edited
+function renderGlobalControls() {
   const state = stateManager.getState();
-  const clockChannel = state.channels[7]; // Channel 8
-  const rampChannel = state.channels[6]; // Channel 7
-  
-  if (clockChannel && els.clockDuration) {
-    els.clockDuration.value = clockChannel.duration || 960;
-    if (els.clockDurationMs) {
-      const durationMs = (clockChannel.duration || 960) / 48000 * 1000;
-      els.clockDurationMs.textContent = `samples (${durationMs.toFixed(1)} ms)`;
-    }
+  const { tempo } = state;
+  [
+    ['cycleTime', state.cycleTime], ['subdivisions', state.subdivisions], ['swing', state.swing],
+    ['bpm', tempo.bpm], ['timeSignature', `${tempo.beats}/${tempo.beatUnit}`],
+  ].forEach(([key, value]) => {
+    if (els[key] && document.activeElement !== els[key]) els[key].value = value;
+  });
+
+  // Only one way of setting the tempo shows at a time
+  const isBpm = tempo.mode === TEMPO_MODES.BPM;
+  els.tempoMode.value = tempo.mode;
+  els.noteValue.value = tempo.noteValue;
+  els.secondsControls.hidden = isBpm;
+  els.bpmControls.hidden = !isBpm;
+}
+
+export function renderPatternBank() {
+  const state = stateManager.getState();
+
+  els.patternBank.innerHTML = state.bank.map((slot, i) => {
+    const classes = ['bank-btn'];
+    if (i === state.currentPattern) classes.push('current');
+    if (i === state.queuedPattern) classes.push('queued');
+    if (slot) classes.push('filled');
+    return `<button class="${classes.join(' ')}" data-pattern="${i}" title="pattern ${i + 1}">${i + 1}</button>`;
+  }).join('');
+
+  els.songToggle.classList.toggle('active', state.song.enabled);
+  els.songLoop.checked = state.song.loop;
+  // Don't overwrite the chain while it's being typed
+  if (document.activeElement !== els.songChain) {
+    els.songChain.value = formatSongChain(state.song.entries);
   }
-  
-  if (rampChannel && els.rampPolarity) {
-    els.rampPolarity.value = rampChannel.polarity ? '-ve' : '+ve';
+
+  const position = state.songPosition;
+  if (position && position.repeat >= 0) {
+    const entry = state.song.entries[position.entry];
+    els.songPosition.textContent = `${position.entry + 1}/${state.song.entries.length} · ${position.repeat + 1}/${entry.repeats}`;
+  } else {
+    els.songPosition.textContent = '';
   }
 }
 
@@ -75,146 +502,307 @@ export function renderMultiChannelView() {
   const state = stateManager.getState();
   els.multiChannelView.innerHTML = '';
 
-  // Render channels 1-6 only (channels 7-8 are controlled from transport)
-  for (let ch = 0; ch < 6; ch++) {
-    const channel = state.channels[ch];
-    const channelRow = document.createElement('div');
-    channelRow.className = `channel-row ${channel.isMuted ? 'muted' : ''}`;
-    channelRow.dataset.channel = ch;
-
-    // Channel label with mute indicator
-    const label = document.createElement('div');
-    label.className = 'channel-label';
-    label.textContent = channel.isMuted ? `${ch + 1}M` : ch + 1;
-    if (channel.isMuted) {
-      label.classList.add('muted');
-    }
-    channelRow.appendChild(label);
+  // One track per output of the interface
+  for (let ch = 0; ch < state.outputCount; ch++) {
+    els.multiChannelView.appendChild(createChannelRow(ch, state));
+  }
+  els.gridDisplay.textContent = state.gridSubdivisions;
+}
 
-    const mode = getChannelMode(channel);
+/**
+ * Re-renders a single channel row in place, keeping keyboard focus on the
+ * same control if it was inside the row.
+ * @param {number} ch - Channel index
+ */
+export function renderChannelRow(ch) {
+  const oldRow = els.multiChannelView.querySelector(`.channel-row[data-channel="${ch}"]`);
+  if (!oldRow) return;
+
+  const focused = oldRow.contains(document.activeElement) ? document.activeElement : null;
+  const newRow = createChannelRow(ch, stateManager.getState());
+  oldRow.replaceWith(newRow);
+
+  if (focused) {
+    const { param, step } = focused.dataset;
+    const selector = param ? `[data-param="${param}"]` : `[data-step="${step}"].pitch-cell`;
+    newRow.querySelector(selector)?.focus();
+  }
+}
+
+function createChannelRow(ch, state) {
+  const channel = state.channels[ch];
+  const channelRow = document.createElement('div');
+  channelRow.className = `channel-row ${channel.isMuted ? 'muted' : ''}`;
+  channelRow.dataset.channel = ch;
+
+  // Channel label with mute indicator
+  const label = document.createElement('div');
+  label.className = 'channel-label';
+  label.textContent = channel.isMuted ? `${ch + 1}M` : ch + 1;
+  if (channel.isMuted) {
+    label.classList.add('muted');
+  }
+  channelRow.appendChild(label);
 
-    // Channel parameters section - minimal inline controls
-    const params = document.createElement('div');
-    params.className = 'channel-params';
+  const mode = getChannelMode(channel);
+
+  // Channel parameters section - minimal inline controls
+  const params = document.createElement('div');
+  params.className = 'channel-params';
+  
+  if (mode === 'trigger') {
+    params.innerHTML = `
+      ${createModeButton(ch, mode)}
+      ${createStepsInput(ch, channel.steps)}
+      <span class="param-label">t:</span>
+      <input type="text" class="param-input dur-input" data-channel="${ch}" data-param="triggerDuration" value="${channel.triggerDuration}" title="duration">
+      ${createSwingInput(ch, channel.swing)}
+      ${createDirectionControls(ch, channel)}
+      <span class="param-label">#:</span>
+      <input type="text" class="param-input seed-input" data-channel="${ch}" data-param="seed" value="${channel.seed}" title="probability seed">
+      <span class="param-label">dk:</span>
+      <input type="text" class="param-input decay-input" data-channel="${ch}" data-param="ratchetDecay" value="${channel.ratchetDecay}" title="ratchet level decay per repeat (0-1)">
+      ${createVelocityToGateControl(ch, channel.velocityToGate)}
+      ${createGeneratorControls(ch, channel.generator)}
+    `;
+  } else if (mode === 'pitch') {
+    const showCoupleToggle = ch > 0; // Needs a channel above to follow
+    const isCoupled = showCoupleToggle && channel.isCoupled;
+    const stepsValue = isCoupled ? state.channels[ch - 1].steps : channel.steps;
     
-    if (mode === 'trigger') {
-      params.innerHTML = `
-        ${createModeButton(ch, mode)}
-        ${createStepsInput(ch, channel.steps)}
-        <span class="param-label">t:</span>
-        <input type="text" class="param-input dur-input" data-channel="${ch}" data-param="triggerDuration" value="${channel.triggerDuration}" title="duration">
-      `;
-    } else if (mode === 'pitch') {
-      const showCoupleToggle = (ch + 1) % 2 === 0; // Channels 2, 4, 6
-      const isCoupled = showCoupleToggle && channel.isCoupled;
-      const stepsValue = isCoupled ? state.channels[ch - 1].steps : channel.steps;
-      
-      const coupleHTML = showCoupleToggle ? 
-        createCoupleControl(ch, channel.isCoupled) : 
-        `<span class="spacer"></span>`;
-      
-      params.innerHTML = `
-        ${createModeButton(ch, mode)}
-        ${createStepsInput(ch, stepsValue, isCoupled)}
-        ${coupleHTML}
-      `;
-    } else if (mode === 'clock') {
-      params.innerHTML = `<span class="util-label">${MODE_ICONS[mode]} CLOCK</span>`;
-    } else if (mode === 'ramp') {
-      params.innerHTML = `
-        <span class="util-label">${MODE_ICONS[mode]} RAMP</span>
-        <input type="text" class="param-input amp-input" data-channel="${ch}" data-param="amplitude" value="${channel.amplitude}" title="amplitude">
-      `;
-    }
+    const coupleHTML = showCoupleToggle ? 
+      createCoupleControl(ch, channel.isCoupled) : 
+      `<span class="spacer"></span>`;
     
-    channelRow.appendChild(params);
+    params.innerHTML = `
+      ${createModeButton(ch, mode)}
+      ${createStepsInput(ch, stepsValue, isCoupled)}
+      ${coupleHTML}
+      ${createSwingInput(ch, channel.swing, isCoupled)}
+      ${createDirectionControls(ch, channel, isCoupled)}
+      ${createScaleControls(ch, channel)}
+      ${createGlideControls(ch, channel)}
+    `;
+  } else if (mode === 'sh') {
+    const showCoupleToggle = ch > 0; // Needs a channel above to follow
+    const isCoupled = showCoupleToggle && channel.isCoupled;
+    const stepsValue = isCoupled ? state.channels[ch - 1].steps : channel.steps;
+
+    const coupleHTML = showCoupleToggle ?
+      createCoupleControl(ch, channel.isCoupled) :
+      `<span class="spacer"></span>`;
+
+    params.innerHTML = `
+      ${createModeButton(ch, mode)}
+      ${createStepsInput(ch, stepsValue, isCoupled)}
+      ${coupleHTML}
+      ${createSwingInput(ch, channel.swing, isCoupled)}
+      ${createDirectionControls(ch, channel, isCoupled)}
+      ${createSelect(ch, 'shMode', SH_MODE_OPTIONS, channel.shMode, 'source')}
+      <span class="param-label">lo:</span>
+      <input type="text" class="param-input volt-input" data-channel="${ch}" data-param="minVoltage" value="${channel.minVoltage}" title="minimum voltage">
+      <span class="param-label">hi:</span>
+      <input type="text" class="param-input volt-input" data-channel="${ch}" data-param="maxVoltage" value="${channel.maxVoltage}" title="maximum voltage">
+      <span class="param-label">#:</span>
+      <input type="text" class="param-input seed-input" data-channel="${ch}" data-param="seed" value="${channel.seed}" title="random seed">
+    `;
+  } else if (mode === 'velocity') {
+    // Velocity lanes always follow the trigger channel above, which holds the velocities
+    params.innerHTML = `
+      ${createModeButton(ch, mode)}
+      <span class="param-label">a:</span>
+      <input type="text" class="param-input amp-input" data-channel="${ch}" data-param="amplitude" value="${channel.amplitude}" title="amplitude at full velocity (V)">
+    `;
+  } else if (mode === 'cc') {
+    params.innerHTML = `
+      ${createModeButton(ch, mode)}
+      <span class="param-label">cc:</span>
+      <input type="text" class="param-input" data-channel="${ch}" data-param="cc" value="${channel.cc}" title="MIDI controller number">
+      <span class="param-label">lo:</span>
+      <input type="text" class="param-input volt-input" data-channel="${ch}" data-param="minVoltage" value="${channel.minVoltage}" title="voltage at controller value 0">
+      <span class="param-label">hi:</span>
+      <input type="text" class="param-input volt-input" data-channel="${ch}" data-param="maxVoltage" value="${channel.maxVoltage}" title="voltage at controller value 127">
+    `;
+  } else if (mode === 'lfo') {
+    params.innerHTML = `
+      ${createModeButton(ch, mode)}
+      ${createSelect(ch, 'waveform', LFO_WAVEFORM_OPTIONS, channel.waveform, 'waveform')}
+      <span class="param-label">r:</span>
+      <input type="text" class="param-input rate-input" data-channel="${ch}" data-param="rate" value="${channel.rate}" title="rate">
+    `;
+  } else if (mode === 'clock') {
+    params.innerHTML = `
+      ${createModeButton(ch, mode)}
+      <span class="param-label">t:</span>
+      <input type="text" class="param-input dur-input" data-channel="${ch}" data-param="duration" value="${channel.duration}" title="pulse duration (samples)">
+      <span class="param-label">r:</span>
+      <input type="text" class="param-input" data-channel="${ch}" data-param="ratio" value="${formatClockRatio(channel.ratio)}" title="pulses per step: x2 multiplies, /4 divides, 3/2 is three every two steps">
+    `;
+  } else if (mode === 'util') {
+    // End of cycle can follow the whole pattern or any one track
+    const trackOptions = [{ value: '', label: 'all' }, ...Array.from({ length: state.outputCount }, (_, i) => ({ value: i, label: `${i + 1}` }))];
+    const isGate = channel.source === UTILITY_SOURCES.RUN;
+    params.innerHTML = `
+      ${createModeButton(ch, mode)}
+      ${createSelect(ch, 'source', UTILITY_SOURCE_OPTIONS, channel.source, 'output')}
+      ${createSelect(ch, 'track', trackOptions, channel.track ?? '', 'track whose cycle ends', channel.source !== UTILITY_SOURCES.EOC)}
+      <span class="param-label">t:</span>
+      <input type="text" class="param-input dur-input" data-channel="${ch}" data-param="duration" value="${channel.duration}" title="pulse duration (samples)" ${isGate ? 'disabled' : ''}>
+    `;
+  } else if (mode === 'ramp') {
+    params.innerHTML = `
+      ${createModeButton(ch, mode)}
+      <span class="param-label">a:</span>
+      <input type="text" class="param-input amp-input" data-channel="${ch}" data-param="amplitude" value="${channel.amplitude}" title="amplitude">
+      <span class="param-label">inv:</span><input type="checkbox" class="couple-checkbox" data-channel="${ch}" data-param="polarity" ${channel.polarity ? 'checked' : ''} title="falling ramp">
+    `;
+  }
+  
+  channelRow.appendChild(params);
 
-    // Pattern grid section
-    const grid = document.createElement('div');
+  // Pattern grid section
+  const grid = document.createElement('div');
+  
+  // Utility and CC channels show status instead of pattern grid
+  if (mode === 'clock' || mode === 'ramp' || mode === 'cc' || mode === 'util') {
+    grid.className = 'utility-status';
+    const statusText = {
+      clock: `CLOCK ${formatClockRatio(channel.ratio)} · ${(channel.duration / SEQUENCER_CONSTANTS.SAMPLE_RATE * 1000).toFixed(1)} ms`,
+      util: `${UTILITY_STATUS[channel.source]}${channel.source === UTILITY_SOURCES.EOC && channel.track !== null ? ` · TRACK ${channel.track + 1}` : ''}`,
+      ramp: `RAMP ${channel.polarity ? '↘' : '↗'} ${channel.amplitude}V`,
+      cc: `MIDI CC ${channel.cc} → ${channel.minVoltage}V…${channel.maxVoltage}V`,
+    }[mode];
+    grid.innerHTML = `<span class="utility-label">${statusText}</span>`;
+  } else if (mode === 'lfo') {
+    // LFO channels show their remaining parameters and a waveform preview instead of a grid
+    grid.className = 'lfo-controls';
+    grid.innerHTML = `
+      ${createSelect(ch, 'rateMode', LFO_RATE_MODE_OPTIONS, channel.rateMode, 'rate mode')}
+      <span class="param-label">ph:</span>
+      <input type="text" class="param-input phase-input" data-channel="${ch}" data-param="phase" value="${channel.phase}" title="phase offset (0-1)">
+      ${createSelect(ch, 'range', LFO_RANGE_OPTIONS, channel.range, 'range')}
+      <span class="param-label">a:</span>
+      <input type="text" class="param-input amp-input" data-channel="${ch}" data-param="amplitude" value="${channel.amplitude}" title="amplitude (V)">
+      ${createLfoPreview(channel, cycleSeconds(state))}
+    `;
+  } else {
+    // Regular sequencer channels show pattern grid
+    grid.className = 'pattern-grid';
+    grid.style.gridTemplateColumns = `repeat(${state.gridSubdivisions}, 1fr)`;
     
-    // Utility channels (clock/ramp) show status instead of pattern grid
-    if (mode === 'clock' || mode === 'ramp') {
-      grid.className = 'utility-status';
-      const statusText = mode === 'clock' ? 'CLOCK OUTPUT' : `RAMP ${channel.polarity ? '↘' : '↗'} ${channel.amplitude}V`;
-      grid.innerHTML = `<span class="utility-label">${statusText}</span>`;
-    } else {
-      // Regular sequencer channels show pattern grid
-      grid.className = 'pattern-grid';
-      grid.style.gridTemplateColumns = `repeat(${state.gridSubdivisions}, 1fr)`;
+    // Visual state logic
+    const triggerChannelAbove = state.channels[ch - 1];
+    const isVelocityLane = mode === 'velocity';
+    const isDisabled = isVelocityLane ?
+      triggerChannelAbove?.mode !== 'trigger' :
+      COUPLABLE_MODES.includes(mode) && channel.isCoupled;
+    if (isVelocityLane) {
+      grid.classList.add('velocity-lane');
+    }
+    if (isDisabled) {
+      grid.classList.add('disabled');
+    }
+
+    for (let i = 0; i < state.gridSubdivisions; i++) {
+      const isPitchMode = mode === 'pitch';
+      const cell = document.createElement(isPitchMode ? 'input' : 'div');
+      cell.className = `pattern-step ${isPitchMode ? 'pitch-cell' : ''} ${mode === 'sh' ? 'sh-step' : ''} ${isVelocityLane ? 'velocity-step' : ''}`;
+      cell.dataset.step = i;
+      cell.dataset.channel = ch;
+
+      // Ghosting logic - for coupled pitch and S&H channels, use parent's step length
+      let effectiveSteps = channel.steps;
+      if (COUPLABLE_MODES.includes(mode) && channel.isCoupled && ch > 0) {
+        const parentChannel = state.channels[ch - 1];
+        if (parentChannel && parentChannel.mode === 'trigger') {
+          effectiveSteps = parentChannel.steps;
+        }
+      }
       
-      // Visual state logic
-      const isDisabled = mode === 'pitch' && channel.isCoupled;
-      if (isDisabled) {
-        grid.classList.add('disabled');
+      const isInactiveStep = i >= effectiveSteps;
+      if (isInactiveStep) {
+        cell.classList.add('inactive');
       }
 
-      for (let i = 0; i < state.gridSubdivisions; i++) {
-        const isPitchMode = mode === 'pitch';
-        const cell = document.createElement(isPitchMode ? 'input' : 'div');
-        cell.className = `pattern-step ${isPitchMode ? 'pitch-cell' : ''}`;
-        cell.dataset.step = i;
-        cell.dataset.channel = ch;
-
-        // Ghosting logic - for coupled pitch channels, use parent's step length
-        let effectiveSteps = channel.steps;
-        if (mode === 'pitch' && channel.isCoupled && ch > 0) {
-          const parentChannel = state.channels[ch - 1];
-          if (parentChannel && parentChannel.mode === 'trigger') {
-            effectiveSteps = parentChannel.steps;
-          }
-        }
+      if (isPitchMode) {
+        cell.type = 'text';
+        cell.value = channel.pitches[i] ?? '';
+        cell.classList.toggle('slide', Boolean(channel.slides?.[i]));
         
-        const isInactiveStep = i >= effectiveSteps;
-        if (isInactiveStep) {
-          cell.classList.add('inactive');
-        }
-
-        if (isPitchMode) {
-          cell.type = 'text';
-          cell.value = channel.pitches[i] ?? '';
-          
-          // Coupling logic: Disable cells that don't correspond to triggers
-          if (channel.isCoupled && ch > 0) {
-            const triggerChannelAbove = state.channels[ch - 1];
-            if (triggerChannelAbove.mode === 'trigger') {
-              const triggerPatternLength = triggerChannelAbove.steps || state.subdivisions;
-              const triggerStep = i % triggerPatternLength;
-              const hasTrigger = state.pattern[ch - 1][triggerStep];
-              
-              if (!hasTrigger) {
-                cell.disabled = true;
-                cell.classList.add('disabled-cell');
-              }
+        // Coupling logic: Disable cells that don't correspond to triggers
+        if (channel.isCoupled && ch > 0) {
+          const triggerChannelAbove = state.channels[ch - 1];
+          if (triggerChannelAbove.mode === 'trigger') {
+            const triggerPatternLength = triggerChannelAbove.steps || state.subdivisions;
+            const triggerStep = i % triggerPatternLength;
+            const hasTrigger = state.pattern[ch - 1][triggerStep];
+            
+            if (!hasTrigger) {
+              cell.disabled = true;
+              cell.classList.add('disabled-cell');
             }
           }
-        } else if (mode === 'trigger' && state.pattern[ch][i]) {
-          cell.classList.add('active');
         }
+      } else if (mode === 'trigger') {
+        cell.classList.toggle('active', Boolean(state.pattern[ch][i]));
+        renderTriggerStep(cell, channel, i);
+      } else if (mode === 'sh') {
+        // Coupled S&H samples on the triggers above, otherwise on its own active steps
+        const triggerChannelAbove = state.channels[ch - 1];
+        const isSampling = channel.isCoupled && triggerChannelAbove?.mode === 'trigger' ?
+          state.pattern[ch - 1][i % (triggerChannelAbove.steps || state.subdivisions)] :
+          state.pattern[ch][i];
+        cell.classList.toggle('active', isSampling);
+        renderShVoltage(cell, channel.shValues?.[i]);
+      } else if (isVelocityLane && !isDisabled) {
+        const triggerStep = i % (triggerChannelAbove.steps || state.subdivisions);
+        cell.classList.toggle('active', Boolean(state.pattern[ch - 1][triggerStep]));
+        renderVelocityStep(cell, triggerChannelAbove.velocities?.[triggerStep]);
+      }
 
-        if (i === channel.currentStep) {
-          cell.classList.add('current');
-        }
+      if (i === channel.currentStep) {
+        cell.classList.add('current');
+      }
+      const { midiNotes } = state;
+      if (midiNotes.mode === MIDI_NOTE_MODES.RECORD && ch === midiNotes.channel && i === midiNotes.cursor) {
+        cell.classList.add('record-cursor');
+      }
+
+      if (isPitchMode) {
+        // Pitch cells are wrapped so the note name can sit underneath the input
+        const wrap = document.createElement('div');
+        wrap.className = 'pitch-wrap';
+        const noteLabel = document.createElement('span');
+        noteLabel.className = 'note-name';
+        wrap.append(cell, noteLabel);
+        grid.appendChild(wrap);
+        renderPitchNote(cell, channel);
+      } else {
         grid.appendChild(cell);
       }
     }
-    channelRow.appendChild(grid);
-    els.multiChannelView.appendChild(channelRow);
   }
+  channelRow.appendChild(grid);
+  return channelRow;
 }
 
 export function updateVisibleGrids() {
   const state = stateManager.getState();
   
-  // Update channels 1-6 only
-  for (let ch = 0; ch < 6; ch++) {
+  for (let ch = 0; ch < state.outputCount; ch++) {
     const channelRow = els.multiChannelView.querySelector(`[data-channel="${ch}"]`);
     if (!channelRow) continue;
 
     const currentStep = state.channels[ch].currentStep;
+    const isSh = state.channels[ch].mode === 'sh';
     
     channelRow.querySelectorAll('.pattern-step, .pitch-cell').forEach(cell => {
       const step = parseInt(cell.dataset.step);
       const isCurrent = (step === currentStep);
+
+      if (isSh) {
+        renderShVoltage(cell, state.channels[ch].shValues?.[step]);
+      }
       
       // Toggle class, but don't remove from the focused element
       if (document.activeElement !== cell) {
@@ -224,6 +812,323 @@ export function updateVisibleGrids() {
   }
 }
 
+// --- State Subscriptions ---
+
+/**
+ * Collects the channel rows touched by a set of changed "pattern.N..." or
+ * "channels.N..." paths. Coupled channels render against the channel
+ * above them, so each change also touches the row below. Returns null when
+ * the whole collection changed.
+ */
+function rowsAffectedBy(paths) {
+  const rows = new Set();
+  for (const path of paths) {
+    const index = parseInt(path.split('.')[1]);
+    if (isNaN(index)) return null;
+    rows.add(index);
+    rows.add(index + 1);
+  }
+  return rows;
+}
+
+function renderRows(rows) {
+  if (!rows) {
+    renderMultiChannelView();
+    return;
+  }
+  rows.forEach(renderChannelRow);
+}
+
+// Per-step trigger data drawn by renderTriggerStep
+const TRIGGER_STEP_KEYS = ['offsets', 'probabilities', 'conditions', 'ratchets', 'velocities', 'gates', 'ties'];
+
+/**
+ * Applies a single pitch, slide or trigger step edit to its cell without
+ * rebuilding the row. Returns false when the path needs a full row render instead.
+ */
+function patchChannelCell(path) {
+  const [, ch, key, step] = path.split('.');
+  const isTriggerStep = TRIGGER_STEP_KEYS.includes(key);
+  if ((!isTriggerStep && key !== 'pitches' && key !== 'slides') || step === undefined) return false;
+
+  const cellClass = isTriggerStep ? 'pattern-step' : 'pitch-cell';
+  const cell = els.multiChannelView.querySelector(`.${cellClass}[data-channel="${ch}"][data-step="${step}"]`);
+  if (!cell) return false;
+
+  const channel = stateManager.get(`channels.${ch}`);
+  if (isTriggerStep) {
+    renderTriggerStep(cell, channel, parseInt(step));
+    if (key === 'velocities') patchVelocityLane(parseInt(ch) + 1, channel);
+    return true;
+  }
+  if (key === 'slides') {
+    cell.classList.toggle('slide', Boolean(channel.slides[step]));
+    return true;
+  }
+  // Don't overwrite a value that's still being typed
+  if (document.activeElement !== cell) {
+    cell.value = channel.pitches[step] ?? '';
+  }
+  renderPitchNote(cell, channel);
+  return true;
+}
+
+// Redraws a velocity lane's bars from the trigger channel above it
+function patchVelocityLane(ch, triggerChannel) {
+  els.multiChannelView.querySelectorAll(`.velocity-step[data-channel="${ch}"]`).forEach(cell => {
+    const step = parseInt(cell.dataset.step) % (triggerChannel.steps || stateManager.get('subdivisions'));
+    renderVelocityStep(cell, triggerChannel.velocities?.[step]);
+  });
+}
+
+/**
+ * Toggles a single trigger or S&H step cell. Returns false when the path needs
+ * a full row render instead.
+ */
+function patchStepCell(path) {
+  const [, ch, step] = path.split('.');
+  if (step === undefined) return false;
+
+  const cell = els.multiChannelView.querySelector(`.pattern-step[data-channel="${ch}"][data-step="${step}"]:not(.pitch-cell)`);
+  if (!cell || stateManager.get(`channels.${ch}.isCoupled`)) return false;
+
+  cell.classList.toggle('active', Boolean(stateManager.get(`pattern.${ch}.${step}`)));
+  return true;
+}
+
+function isCoupledBelow(ch) {
+  const below = stateManager.get(`channels.${ch + 1}`);
+  return Boolean(below?.isCoupled) && COUPLABLE_MODES.includes(below.mode);
+}
+
+/**
+ * Subscribes the view to the StateManager so that setting state is enough to
+ * update the DOM. Notifications arrive batched, so a transaction or a preset
+ * load renders once.
+ */
+export function setupRenderSubscriptions() {
+  stateManager.subscribe('subdivisions', renderMultiChannelView);
+  stateManager.subscribe('gridSubdivisions', renderMultiChannelView);
+  // LFO previews are drawn against the cycle time
+  ['cycleTime', 'tempo'].forEach(path => stateManager.subscribe(path, renderMultiChannelView));
+  ['subdivisions', 'cycleTime', 'swing', 'tempo'].forEach(path => stateManager.subscribe(path, renderGlobalControls));
+  stateManager.subscribe('clock', renderClockControls);
+  // Route menus list the channels whose mode fits the target
+  ['modulation', 'channels.*.mode'].forEach(path => stateManager.subscribe(path, renderModulation));
+  ['midiNotes', 'channels.*.mode'].forEach(path => stateManager.subscribe(path, renderMidiNoteControls));
+  stateManager.subscribe('calibration', renderCalibration);
+  // The interface's output count decides how many tracks there are to show and route
+  stateManager.subscribe('outputCount', () => {
+    renderMultiChannelView();
+    renderRouting();
+    renderCalibration();
+    renderModulation();
+    renderMidiNoteControls();
+    renderScope();
+  });
+  stateManager.subscribe('routing', renderRouting);
+  stateManager.subscribe('scope', renderScope);
+
+  stateManager.subscribe('pattern', paths => {
+    // Single step toggles (drag painting) only patch the cell, unless a coupled row depends on them
+    const rows = rowsAffectedBy(paths.filter(path => !patchStepCell(path)));
+    paths.forEach(path => {
+      const ch = parseInt(path.split('.')[1]);
+      if (isCoupledBelow(ch)) rows?.add(ch + 1);
+    });
+    renderRows(rows);
+  });
+
+  stateManager.subscribe('channels', paths => {
+    // Step positions and held S&H values are drawn on the worklet's global tick
+    const structural = paths.filter(path => !stateManager.isTransient(path) && !patchChannelCell(path));
+    if (structural.length === 0) return;
+
+    renderRows(rowsAffectedBy(structural));
+  });
+
+  ['bank', 'currentPattern', 'queuedPattern', 'song', 'songPosition'].forEach(path => {
+    stateManager.subscribe(path, renderPatternBank);
+  });
+}
+
+/**
+ * Fills the MIDI port menus.
+ * @param {MIDIInput[]} inputs
+ * @param {MIDIOutput[]} outputs
+ * @param {string} [selectedIn] - Id of the input in use
+ * @param {string} [selectedOut] - Id of the output in use
+ */
+export function renderMidiPorts(inputs, outputs, selectedIn, selectedOut) {
+  // Port names and ids come from the devices, so they're set as text rather than markup
+  const options = (ports, selected) => [
+    new Option('—', ''),
+    ...ports.map(port => new Option(port.name, port.id, false, port.id === selected)),
+  ];
+  els.midiIn.replaceChildren(...options(inputs, selectedIn));
+  els.midiOut.replaceChildren(...options(outputs, selectedOut));
+}
+
+const CLOCK_SOURCE_OPTIONS = [
+  { value: CLOCK_SOURCES.INTERNAL, label: 'int' },
+  { value: CLOCK_SOURCES.MIDI, label: 'midi' },
+  { value: CLOCK_SOURCES.AUDIO, label: 'ext' },
+];
+
+// The clock menus are fixed; only their selections follow the state
+function renderClockOptions() {
+  const options = list => list.map(({ value, label }) => `<option value="${value}">${label}</option>`).join('');
+  const inputs = Array.from({ length: EXT_CLOCK_CONSTANTS.NUM_INPUTS }, (_, i) => ({ value: i, label: `in ${i + 1}` }));
+  els.clockSource.innerHTML = options(CLOCK_SOURCE_OPTIONS);
+  els.clockInput.innerHTML = options(inputs);
+  els.clockPpqn.innerHTML = options(EXT_CLOCK_CONSTANTS.PPQN_OPTIONS.map(ppqn => ({ value: ppqn, label: `${ppqn} ppqn` })));
+  els.clockReset.innerHTML = options([{ value: '', label: '—' }, ...inputs]);
+  els.midiChannel.innerHTML = options([{ value: '', label: 'omni' }, ...Array.from({ length: 16 }, (_, i) => ({ value: i, label: `ch ${i + 1}` }))]);
+}
+
+/**
+ * Shows where MIDI notes go: the note mode, the pitch channels to choose
+ * from, and the recording cursor.
+ */
+function renderMidiNoteControls() {
+  const { midiNotes, channels, outputCount } = stateManager.getState();
+  els.midiChannel.value = midiNotes.midiChannel ?? '';
+  els.midiNoteMode.value = midiNotes.mode;
+  els.midiNoteChannel.innerHTML = channels
+    .map((channel, ch) => ({ channel, ch }))
+    .filter(({ channel, ch }) => (channel.mode === 'pitch' && ch < outputCount) || ch === midiNotes.channel)
+    .map(({ ch }) => `<option value="${ch}" ${ch === midiNotes.channel ? 'selected' : ''}>→ ${ch + 1}</option>`)
+    .join('');
+  els.midiRestBtn.disabled = midiNotes.mode !== MIDI_NOTE_MODES.RECORD;
+  markRecordCursor();
+}
+
+// Outlines the step the next recorded note goes into, without redrawing the rows
+function markRecordCursor() {
+  els.multiChannelView.querySelectorAll('.record-cursor').forEach(cell => cell.classList.remove('record-cursor'));
+  const { mode, channel, cursor } = stateManager.get('midiNotes');
+  if (mode !== MIDI_NOTE_MODES.RECORD) return;
+  els.multiChannelView.querySelector(`.pattern-step[data-channel="${channel}"][data-step="${cursor}"]`)?.classList.add('record-cursor');
+}
+
+/**
+ * Shows the calibration profile and the output being edited, or the
+ * reference voltage to measure while tuning.
+ */
+function renderCalibration() {
+  const { profile, profiles, channel, outputs, tuning } = stateManager.get('calibration');
+  const calibration = outputs[channel];
+  // Profile names are typed in, so they're set as text rather than markup
+  els.calProfile.replaceChildren(...profiles.map(name => new Option(name, name, false, name === profile)));
+  els.calChannel.innerHTML = Array.from({ length: stateManager.get('outputCount') }, (_, i) => (
+    `<option value="${i}" ${i === channel ? 'selected' : ''}>out ${i + 1}</option>`
+  )).join('');
+  if (document.activeElement !== els.calOffset) els.calOffset.value = calibration.offset;
+  if (document.activeElement !== els.calScale) els.calScale.value = calibration.scale;
+  // A tuned table takes over from the offset and scale until either is edited by hand
+  els.calPoints.textContent = calibration.points ? `${calibration.points.length}pt` : '';
+
+  els.calTuning.hidden = !tuning;
+  els.calTuneBtn.classList.toggle('active', !!tuning);
+  if (!tuning) return;
+  els.calTarget.textContent = `out ${tuning.channel + 1} @ ${CALIBRATION_CONSTANTS.REFERENCE_VOLTS[tuning.step]}V:`;
+}
+
+/**
+ * Draws the routing matrix: a menu per output of the track it plays.
+ */
+function renderRouting() {
+  const { routing, outputCount } = stateManager.getState();
+  const tracks = [{ value: '', label: '—' }, ...Array.from({ length: outputCount }, (_, i) => ({ value: i, label: `${i + 1}` }))];
+  els.routing.innerHTML = routing.slice(0, outputCount).map((track, out) => {
+    const optionsHTML = tracks
+      .map(opt => `<option value="${opt.value}" ${opt.value === (track ?? '') ? 'selected' : ''}>${opt.label}</option>`)
+      .join('');
+    return `<span class="param-label">${out + 1}←</span><select class="param-input" data-output="${out}" title="track played on output ${out + 1}">${optionsHTML}</select>`;
+  }).join('');
+}
+
+/**
+ * Opens or closes the scope panel and lays out a meter per output, which
+ * also switches that output's trace on and off.
+ */
+function renderScope() {
+  const { enabled, hidden } = stateManager.get('scope');
+  els.scopeBtn.classList.toggle('active', enabled);
+  els.scopePanel.hidden = !enabled;
+  if (!enabled) {
+    clearScope();
+    return;
+  }
+
+  els.scopeMeters.innerHTML = Array.from({ length: stateManager.get('outputCount') }, (_, out) => (
+    `<button class="scope-meter ${hidden.includes(out) ? 'off' : ''}" data-output="${out}" style="color: ${scopeColor(out)}" title="show/hide output ${out + 1}">` +
+    `<span>${out + 1}</span><span>—</span></button>`
+  )).join('');
+  scheduleDraw();
+}
+
+function renderClockControls() {
+  const clock = stateManager.get('clock');
+  const isExternal = clock.source === CLOCK_SOURCES.AUDIO;
+  els.clockSource.value = clock.source;
+  els.clockInput.value = clock.input;
+  els.clockPpqn.value = clock.ppqn;
+  els.clockReset.value = clock.resetInput ?? '';
+  [els.clockInput, els.clockPpqn, els.clockReset].forEach(el => el.disabled = !isExternal);
+  els.midiClockOut.checked = clock.sendMidi;
+  if (document.activeElement !== els.midiLatency) els.midiLatency.value = clock.latency;
+}
+
+const MOD_TARGET_OPTIONS = [
+  { value: MOD_TARGETS.TRANSPOSE, label: 'transp' },
+  { value: MOD_TARGETS.PROBABILITY, label: 'prob' },
+  { value: MOD_TARGETS.OFFSET, label: 'offset' },
+  { value: MOD_TARGETS.AMPLITUDE, label: 'amp' },
+];
+
+// A route's own fields carry data-route and data-field for the change handler
+function createModSelect(index, field, options, value, title) {
+  const optionsHTML = options
+    .map(opt => `<option value="${opt.value}" ${opt.value === value ? 'selected' : ''}>${opt.label}</option>`)
+    .join('');
+  return `<select class="param-input" data-route="${index}" data-field="${field}" title="${title}">${optionsHTML}</select>`;
+}
+
+/**
+ * Draws the modulation routes. Each one offers the channels whose mode its
+ * target applies to, plus the one it already points at.
+ */
+function renderModulation() {
+  const { modulation, channels, outputCount } = stateManager.getState();
+  const inputs = Array.from({ length: EXT_CLOCK_CONSTANTS.NUM_INPUTS }, (_, i) => ({ value: i, label: `in ${i + 1}` }));
+
+  els.modRoutes.innerHTML = modulation.map((route, i) => {
+    const targetModes = MOD_CONSTANTS.TARGET_MODES[route.target];
+    const channelOptions = channels
+      .map((channel, ch) => ({ value: ch, label: `${ch + 1}${targetModes.includes(channel.mode) ? '' : ' ✗'}`, fits: targetModes.includes(channel.mode) }))
+      .filter(option => (option.fits && option.value < outputCount) || option.value === route.channel);
+    return `
+      <span class="mod-route">
+        ${createModSelect(i, 'input', inputs, route.input, 'input')}
+        ${createModSelect(i, 'target', MOD_TARGET_OPTIONS, route.target, 'target')}
+        ${createModSelect(i, 'channel', channelOptions, route.channel, 'channel')}
+        <input type="text" class="param-input mod-amount" data-route="${i}" data-field="amount" value="${route.amount}" title="amount, % of ${MOD_CONSTANTS.PER_VOLT[route.target]} per volt">
+        <button class="zoom-btn" data-route="${i}" data-action="remove" title="Remove route">×</button>
+      </span>
+    `;
+  }).join('');
+  els.modAddBtn.disabled = modulation.length >= MOD_CONSTANTS.MAX_ROUTES;
+}
+
+export function renderPresetList(names, selected = '') {
+  // Names come from the user and from imported files, so they're set as text rather than markup
+  els.presetSelect.replaceChildren(
+    new Option('—', ''),
+    ...names.map(name => new Option(name, name, false, name === selected)),
+  );
+}
+
 export function updateStatus(message, duration = 2000) {
   els.status.textContent = message;
   if (duration > 0) {